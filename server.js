@@ -3,6 +3,10 @@ const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const vm = require('vm');
+const { once } = require('events');
 const { Pool } = require('pg');
 const { MailerSend, EmailParams, Sender, Recipient } = require("mailersend");
 const multer = require('multer');
@@ -17,29 +21,33 @@ const upload = multer({
     limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
-// ElevenLabs API configuration
+// ElevenLabs API configuration (the env vars seed the default workspace; each workspace has its own credentials)
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
 const ELEVENLABS_AGENT_ID = process.env.ELEVENLABS_AGENT_ID;
 const ELEVENLABS_PHONE_NUMBER_ID = process.env.ELEVENLABS_PHONE_NUMBER_ID;
 const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1/convai/twilio/outbound-call';
+const ELEVENLABS_BASE_URL = 'https://api.elevenlabs.io/v1';
 
-// MailerSend configuration
-const mailerSend = new MailerSend({
-    apiKey: process.env.MAILERSEND_API_KEY,
-});
-
-// Email notification configuration
+// Email notification configuration (sender and recipient are per workspace)
 const emailConfig = {
     enabled: process.env.EMAIL_NOTIFICATIONS !== 'false',
     fromEmail: process.env.MAILERSEND_FROM_EMAIL || 'notifications@yourdomain.com',
-    fromName: 'SkyIQ Dashboard',
-    toEmail: process.env.NOTIFICATION_EMAIL,
-    toName: 'SkyIQ User'
+    toEmail: process.env.NOTIFICATION_EMAIL
 };
 
+// Branding of the workspace created on first start
+const DEFAULT_APP_NAME = process.env.APP_NAME || 'SkyIQ';
+const DEFAULT_COMPANY_NAME = process.env.COMPANY_NAME || 'AI Voice Solutions';
+
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body so webhook signatures can be verified over the exact bytes received
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.static('public'));
 
 // Database setup
@@ -48,9 +56,39 @@ const pool = new Pool({
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// Global batch processing state
-let currentBatch = null;
-let batchQueue = [];
+// Webhook signature verification configuration
+const WEBHOOK_SECRET = process.env.ELEVENLABS_WEBHOOK_SECRET;
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 30 * 60;
+
+// Batch processing state: the running batch of each workspace (the queue itself lives in the batches table)
+const runningBatches = new Map();
+
+// Batch pacing defaults and limits
+const BATCH_DEFAULT_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 1;
+const BATCH_MAX_CONCURRENCY = parseInt(process.env.BATCH_MAX_CONCURRENCY, 10) || 10;
+const BATCH_DEFAULT_CALLS_PER_MINUTE = parseInt(process.env.BATCH_CALLS_PER_MINUTE, 10) || 30;
+const BATCH_MAX_CALLS_PER_MINUTE = parseInt(process.env.BATCH_MAX_CALLS_PER_MINUTE, 10) || 120;
+
+// Batch retry policy defaults and limits (one attempt means no retries)
+const BATCH_DEFAULT_MAX_ATTEMPTS = parseInt(process.env.BATCH_MAX_ATTEMPTS, 10) || 1;
+const BATCH_MAX_ATTEMPTS = 10;
+const BATCH_DEFAULT_RETRY_DELAY_MINUTES = parseInt(process.env.BATCH_RETRY_DELAY_MINUTES, 10) || 60;
+const BATCH_MAX_RETRY_DELAY_MINUTES = 7 * 24 * 60;
+
+// A/B prompt variants: how numbers are assigned to a batch's variants, and limits
+const BATCH_VARIANT_ASSIGNMENTS = ['round_robin', 'split'];
+const BATCH_MAX_VARIANTS = 5;
+const BATCH_MAX_VARIANT_WEIGHT = 100;
+
+// How often scheduled batches are checked for an open calling window
+const BATCH_SCHEDULER_INTERVAL = 60 * 1000;
+
+// How often scheduled single calls (e.g. requested callbacks) are checked for ones that are due
+const SCHEDULED_CALL_INTERVAL = 30 * 1000;
+const SCHEDULED_CALL_MAX_DAYS = 365;
+
+// Fallback time zone for numbers whose location can't be inferred
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
 
 // Helper function for duration formatting
 function formatDuration(seconds) {
@@ -66,25 +104,86 @@ function formatDuration(seconds) {
     }
 }
 
-// Email notification function using MailerSend (only for inbound calls)
-async function sendCallNotification(callData) {
-    if (!emailConfig.enabled || !emailConfig.toEmail || !process.env.MAILERSEND_API_KEY || callData.call_type === 'outbound') {
-        return;
+// Notification rules engine
+const NOTIFICATION_EVENTS = ['call.completed', 'batch.completed'];
+const NOTIFICATION_CHANNELS = ['email', 'webhook', 'slack'];
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const NOTIFICATION_RETRY_INTERVAL = 60 * 1000;
+const DASHBOARD_URL = process.env.RENDER_EXTERNAL_URL || 'http://localhost:3000';
+
+const DEFAULT_NOTIFICATION_TEMPLATES = {
+    'call.completed': {
+        subject: '📞 {{call.direction_label}} Call - {{call.caller_number}} - {{workspace.name}}',
+        body: '{{call.direction_label}} call with {{call.caller_number}}\nDuration: {{call.duration_formatted}}\nStatus: {{call.status}}\n\n{{call.transcript}}\n\n{{dashboard_url}}'
+    },
+    'batch.completed': {
+        subject: '🎉 Campaign "{{batch.name}}" completed - {{workspace.name}}',
+        body: 'Campaign "{{batch.name}}" finished.\nSuccessful: {{batch.successful_calls}} / {{batch.total_calls}}\nFailed: {{batch.failed_calls}} ({{batch.failure_rate}}%)\nSkipped: {{batch.skipped_calls}}\n\n{{dashboard_url}}'
+    }
+};
+
+// Replace {{path.to.value}} placeholders with values from the context
+function renderTemplate(template, context) {
+    return String(template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        const value = path.split('.').reduce((current, key) => current?.[key], context);
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+function buildCallNotificationContext(call) {
+    const { raw_payload, ...callFields } = call;
+    return {
+        call: {
+            ...callFields,
+            direction_label: call.call_type === 'outbound' ? 'Outbound' : 'Inbound',
+            duration_formatted: formatDuration(call.duration),
+            summary: raw_payload?.data?.analysis?.transcript_summary || ''
+        },
+        dashboard_url: DASHBOARD_URL
+    };
+}
+
+function buildBatchNotificationContext(batch) {
+    const attempted = (batch.successful_calls || 0) + (batch.failed_calls || 0);
+    return {
+        batch: {
+            ...batch,
+            name: batch.name || batch.id,
+            failure_rate: attempted > 0 ? Math.round((batch.failed_calls / attempted) * 1000) / 10 : 0
+        },
+        dashboard_url: DASHBOARD_URL
+    };
+}
+
+// Whether an event's context satisfies every condition set on a rule
+function notificationRuleMatches(rule, context) {
+    const conditions = rule.conditions || {};
+
+    if (context.call) {
+        const callType = context.call.call_type || 'inbound';
+        if (conditions.direction && conditions.direction !== callType) return false;
+        if (conditions.minDuration && (context.call.duration || 0) < conditions.minDuration) return false;
+        if (conditions.keywords?.length) {
+            const transcript = (context.call.transcript || '').toLowerCase();
+            if (!conditions.keywords.some(keyword => transcript.includes(keyword.toLowerCase()))) return false;
+        }
+    }
+
+    if (context.batch) {
+        if (conditions.minFailureRate && context.batch.failure_rate < conditions.minFailureRate) return false;
     }
 
-    const sentFrom = new Sender(emailConfig.fromEmail, emailConfig.fromName);
-    const recipients = [new Recipient(emailConfig.toEmail, emailConfig.toName)];
+    return true;
+}
 
-    const emailParams = new EmailParams()
-        .setFrom(sentFrom)
-        .setTo(recipients)
-        .setSubject(`📞 Inbound Call - ${callData.caller_number} - SkyIQ`)
-        .setHtml(`
+// Default email body for call events: the original inbound call card
+function buildCallEmailHtml(call, workspace) {
+    return `
             <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, system-ui, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
                 <div style="background: linear-gradient(135deg, #4f46e5, #06b6d4); padding: 30px 20px; text-align: center; color: white; border-radius: 12px 12px 0 0;">
                     <div style="display: inline-block; background: rgba(255,255,255,0.2); padding: 12px; border-radius: 50%; margin-bottom: 15px; font-size: 24px;">📞</div>
-                    <h1 style="margin: 0 0 8px 0; font-size: 28px; font-weight: 700;">New Inbound Call</h1>
-                    <p style="margin: 0; opacity: 0.9; font-size: 16px;">SkyIQ Dashboard Notification</p>
+                    <h1 style="margin: 0 0 8px 0; font-size: 28px; font-weight: 700;">New ${call.direction_label} Call</h1>
+                    <p style="margin: 0; opacity: 0.9; font-size: 16px;">${escapeHtml(workspace?.name || DEFAULT_APP_NAME)} Dashboard Notification</p>
                 </div>
                 
                 <div style="padding: 30px 20px; background: #f8fafc;">
@@ -94,40 +193,497 @@ async function sendCallNotification(callData) {
                         <table style="width: 100%; border-collapse: collapse;">
                             <tr>
                                 <td style="padding: 12px 0; font-weight: 600; color: #4f46e5; width: 130px; vertical-align: top;">📞 Phone:</td>
-                                <td style="padding: 12px 0; font-family: 'SF Mono', Monaco, monospace; font-size: 16px; color: #1e293b;">${callData.caller_number}</td>
+                                <td style="padding: 12px 0; font-family: 'SF Mono', Monaco, monospace; font-size: 16px; color: #1e293b;">${escapeHtml(call.caller_number)}</td>
                             </tr>
                             <tr style="border-top: 1px solid #e2e8f0;">
                                 <td style="padding: 12px 0; font-weight: 600; color: #4f46e5; vertical-align: top;">📅 Date:</td>
-                                <td style="padding: 12px 0; color: #1e293b;">${new Date(callData.timestamp).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</td>
+                                <td style="padding: 12px 0; color: #1e293b;">${new Date(call.timestamp).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</td>
                             </tr>
                             <tr style="border-top: 1px solid #e2e8f0;">
                                 <td style="padding: 12px 0; font-weight: 600; color: #4f46e5; vertical-align: top;">⏱️ Duration:</td>
-                                <td style="padding: 12px 0; color: #1e293b;">${formatDuration(callData.duration)}</td>
+                                <td style="padding: 12px 0; color: #1e293b;">${call.duration_formatted}</td>
                             </tr>
                         </table>
                     </div>
                     
                     <div style="text-align: center; margin-top: 30px;">
-                        <a href="${process.env.RENDER_EXTERNAL_URL || 'http://localhost:3000'}" 
+                        <a href="${DASHBOARD_URL}" 
                            style="display: inline-block; background: linear-gradient(135deg, #4f46e5, #7c3aed); color: white; padding: 15px 30px; text-decoration: none; border-radius: 10px; font-weight: 600; font-size: 16px; box-shadow: 0 4px 12px rgba(79, 70, 229, 0.3);">
                             🖥️ View Dashboard
                         </a>
                     </div>
                 </div>
             </div>
+        `;
+}
+
+// Render a rule's templates for one event into the stored delivery payload
+function renderNotification(rule, event, context) {
+    const defaults = DEFAULT_NOTIFICATION_TEMPLATES[event];
+    const subject = renderTemplate(rule.subject_template || defaults.subject, context);
+    const body = renderTemplate(rule.body_template || defaults.body, context);
+
+    // Custom bodies are plain text; call events without one keep the original HTML card
+    const html = !rule.body_template && context.call
+        ? buildCallEmailHtml(context.call, context.workspace)
+        : `<div style="font-family: system-ui, sans-serif; white-space: pre-wrap;">${escapeHtml(body)}</div>`;
+
+    return { event, rule: rule.name, subject, body, html, data: context };
+}
+
+// Queue deliveries for every enabled rule of the workspace matching the event, then try to send them
+async function notifyEvent(workspaceId, event, context) {
+    try {
+        const workspace = await getWorkspace(workspaceId);
+        const rules = await pool.query(
+            'SELECT * FROM notification_rules WHERE enabled = true AND event = $1 AND workspace_id = $2',
+            [event, workspaceId]
+        );
+        const matching = rules.rows.filter(rule => notificationRuleMatches(rule, context));
+        await queueNotificationDeliveries(matching, event, { ...context, workspace: toWorkspaceBranding(workspace) });
+    } catch (error) {
+        console.error(`Notification rules error (${event}):`, error);
+    }
+}
+
+async function queueNotificationDeliveries(rules, event, context) {
+    let queued = 0;
+    for (const rule of rules) {
+        const payload = renderNotification(rule, event, context);
+        for (const channel of rule.channels || []) {
+            if (channel.type === 'email' && !emailConfig.enabled) {
+                continue;
+            }
+            for (const target of channel.targets || []) {
+                await pool.query(`
+                    INSERT INTO notification_deliveries (workspace_id, rule_id, event, channel, target, payload)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                `, [rule.workspace_id, rule.id, event, channel.type, target, JSON.stringify(payload)]);
+                queued++;
+            }
+        }
+    }
+
+    if (queued > 0) {
+        processNotificationDeliveries();
+    }
+    return queued;
+}
+
+// Send through the workspace's own MailerSend account and sender
+async function sendEmailNotification(workspace, to, payload) {
+    if (!workspace?.mailersend_api_key) {
+        throw new Error('No MailerSend API key is configured for this workspace');
+    }
+
+    const mailerSend = new MailerSend({ apiKey: workspace.mailersend_api_key });
+    const emailParams = new EmailParams()
+        .setFrom(new Sender(workspace.email_from || emailConfig.fromEmail, workspace.email_from_name || `${workspace.name} Dashboard`))
+        .setTo([new Recipient(to)])
+        .setSubject(payload.subject)
+        .setHtml(payload.html)
+        .setText(payload.body);
+
+    await mailerSend.email.send(emailParams);
+}
+
+async function postNotificationJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'SkyIQ-Notifications' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+}
+
+async function sendNotificationDelivery(delivery) {
+    const { payload } = delivery;
+
+    if (delivery.channel === 'email') {
+        await sendEmailNotification(await getWorkspace(delivery.workspace_id), delivery.target, payload);
+    } else if (delivery.channel === 'slack') {
+        await postNotificationJson(delivery.target, { text: `*${payload.subject}*\n${payload.body}` });
+    } else {
+        await postNotificationJson(delivery.target, {
+            event: payload.event,
+            rule: payload.rule,
+            subject: payload.subject,
+            body: payload.body,
+            data: payload.data
+        });
+    }
+}
+
+// Send due deliveries; failures are retried with exponential backoff until NOTIFICATION_MAX_ATTEMPTS
+let notificationWorkerRunning = false;
+async function processNotificationDeliveries() {
+    if (notificationWorkerRunning) return;
+    notificationWorkerRunning = true;
+
+    try {
+        const due = await pool.query(`
+            UPDATE notification_deliveries
+            SET status = 'sending', attempts = attempts + 1
+            WHERE id IN (
+                SELECT id FROM notification_deliveries
+                WHERE status = 'pending' AND next_attempt_at <= NOW()
+                ORDER BY id
+                LIMIT 50
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `);
+
+        for (const delivery of due.rows) {
+            try {
+                await sendNotificationDelivery(delivery);
+                await pool.query(
+                    "UPDATE notification_deliveries SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1",
+                    [delivery.id]
+                );
+            } catch (error) {
+                const exhausted = delivery.attempts >= NOTIFICATION_MAX_ATTEMPTS;
+                console.error(`❌ Notification ${delivery.id} (${delivery.channel} → ${delivery.target}) failed:`, error.message);
+                await pool.query(`
+                    UPDATE notification_deliveries
+                    SET status = $2, last_error = $3,
+                        next_attempt_at = NOW() + make_interval(mins => $4)
+                    WHERE id = $1
+                `, [delivery.id, exhausted ? 'failed' : 'pending', error.message, 2 ** (delivery.attempts - 1)]);
+            }
+        }
+    } catch (error) {
+        console.error('Notification delivery error:', error);
+    } finally {
+        notificationWorkerRunning = false;
+    }
+}
+
+// Deliveries left mid-send by a restart go back to the queue
+async function recoverNotificationDeliveries() {
+    try {
+        await pool.query("UPDATE notification_deliveries SET status = 'pending' WHERE status = 'sending'");
+    } catch (error) {
+        console.error('Notification recovery error:', error);
+    }
+}
+
+// Keep the old NOTIFICATION_EMAIL behaviour as a rule when the rules table is first created
+async function seedDefaultNotificationRule(workspace) {
+    if (!workspace.notification_email) return;
+
+    await pool.query(
+        'INSERT INTO notification_rules (workspace_id, name, event, conditions, channels) VALUES ($1, $2, $3, $4, $5)',
+        [workspace.id, 'Inbound calls', 'call.completed', JSON.stringify({ direction: 'inbound' }), JSON.stringify([{ type: 'email', targets: [workspace.notification_email] }])]
+    );
+    console.log(`🔔 Created default notification rule for ${workspace.notification_email}`);
+}
+
+// Outgoing webhooks: every dashboard event is stored and fanned out to subscribed URLs
+const SOCKET_EVENT_TYPES = {
+    newCall: 'call.created',
+    updateCall: 'call.updated',
+    batchProgress: 'batch.progress',
+    batchCompleted: 'batch.completed',
+    dncUpdated: 'dnc.updated',
+    workspaceUpdated: 'workspace.updated',
+    scheduledCallUpdated: 'scheduled_call.updated',
+    contactUpdated: 'contact.updated'
+};
+const EVENT_TYPES = Object.values(SOCKET_EVENT_TYPES);
+const WEBHOOK_DELIVERY_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_DELIVERY_MAX_ATTEMPTS, 10) || 8;
+const EVENT_RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS, 10) || 30;
+
+// Send a socket event to the workspace's dashboards and publish it to its webhook subscribers
+function broadcastEvent(workspaceId, socketEvent, data) {
+    io.to(getWorkspaceRoom(workspaceId)).emit(socketEvent, data);
+    publishEvent(workspaceId, SOCKET_EVENT_TYPES[socketEvent], data);
+}
+
+async function publishEvent(workspaceId, type, data) {
+    try {
+        const event = {
+            id: `evt-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            type,
+            data
+        };
+        await pool.query(
+            'INSERT INTO events (id, workspace_id, type, payload) VALUES ($1, $2, $3, $4)',
+            [event.id, workspaceId, type, JSON.stringify(data)]
+        );
+
+        const queued = await queueWebhookDeliveries(workspaceId, event.id, type);
+        if (queued > 0) {
+            processWebhookDeliveries();
+        }
+    } catch (error) {
+        console.error(`Event publish error (${type}):`, error);
+    }
+}
+
+// One delivery per enabled subscription of the workspace to the event's type (or just the given subscription)
+async function queueWebhookDeliveries(workspaceId, eventId, type, subscriptionId = null) {
+    const result = await pool.query(`
+        INSERT INTO webhook_deliveries (event_id, subscription_id)
+        SELECT $1, id FROM webhook_subscriptions
+        WHERE workspace_id = $2 AND ${subscriptionId ? 'id = $3' : 'enabled = true AND $3 = ANY(event_types)'}
+    `, [eventId, workspaceId, subscriptionId || type]);
+    return result.rowCount;
+}
+
+// Stripe-style signature over "<timestamp>.<body>" so receivers can reject replays
+function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function sendWebhookDelivery(delivery) {
+    const body = JSON.stringify({
+        id: delivery.event_id,
+        type: delivery.type,
+        created_at: delivery.event_created_at,
+        data: delivery.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'SkyIQ-Webhooks',
+            'X-SkyIQ-Event': delivery.type,
+            'X-SkyIQ-Delivery': String(delivery.id),
+            'X-SkyIQ-Signature': `t=${timestamp},v1=${signWebhookPayload(delivery.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.responseStatus = response.status;
+        throw error;
+    }
+    return response.status;
+}
+
+// Send due deliveries; failures back off exponentially until WEBHOOK_DELIVERY_MAX_ATTEMPTS
+let webhookWorkerRunning = false;
+async function processWebhookDeliveries() {
+    if (webhookWorkerRunning) return;
+    webhookWorkerRunning = true;
+
+    try {
+        const due = await pool.query(`
+            WITH claimed AS (
+                UPDATE webhook_deliveries
+                SET status = 'sending', attempts = attempts + 1
+                WHERE id IN (
+                    SELECT id FROM webhook_deliveries
+                    WHERE status = 'pending' AND next_attempt_at <= NOW()
+                    ORDER BY id
+                    LIMIT 50
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *
+            )
+            SELECT claimed.*, events.type, events.payload, events.created_at AS event_created_at,
+                   webhook_subscriptions.url, webhook_subscriptions.secret
+            FROM claimed
+            JOIN events ON events.id = claimed.event_id
+            JOIN webhook_subscriptions ON webhook_subscriptions.id = claimed.subscription_id
+            ORDER BY claimed.id
         `);
 
+        for (const delivery of due.rows) {
+            try {
+                const responseStatus = await sendWebhookDelivery(delivery);
+                await pool.query(`
+                    UPDATE webhook_deliveries
+                    SET status = 'delivered', response_status = $2, last_error = NULL, delivered_at = NOW()
+                    WHERE id = $1
+                `, [delivery.id, responseStatus]);
+            } catch (error) {
+                const exhausted = delivery.attempts >= WEBHOOK_DELIVERY_MAX_ATTEMPTS;
+                console.error(`❌ Webhook delivery ${delivery.id} (${delivery.type} → ${delivery.url}) failed:`, error.message);
+                await pool.query(`
+                    UPDATE webhook_deliveries
+                    SET status = $2, response_status = $3, last_error = $4,
+                        next_attempt_at = NOW() + make_interval(mins => $5)
+                    WHERE id = $1
+                `, [delivery.id, exhausted ? 'failed' : 'pending', error.responseStatus || null, error.message, 2 ** (delivery.attempts - 1)]);
+            }
+        }
+    } catch (error) {
+        console.error('Webhook delivery error:', error);
+    } finally {
+        webhookWorkerRunning = false;
+    }
+}
+
+// Deliveries left mid-send by a restart go back to the queue
+async function recoverWebhookDeliveries() {
+    try {
+        await pool.query("UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'sending'");
+    } catch (error) {
+        console.error('Webhook delivery recovery error:', error);
+    }
+}
+
+// Drop stored events (and their deliveries) past the retention window
+async function pruneEventLog() {
     try {
-        await mailerSend.email.send(emailParams);
-        console.log('📧 Email notification sent successfully');
+        await pool.query(`DELETE FROM events WHERE created_at < NOW() - make_interval(days => $1)`, [EVENT_RETENTION_DAYS]);
     } catch (error) {
-        console.error('❌ Email notification failed:', error.message);
+        console.error('Event log prune error:', error);
+    }
+}
+
+// Workspaces: each tenant has its own credentials, branding, users and data
+const WORKSPACE_TABLES = [
+    'calls', 'batches', 'users', 'agents', 'dnc_numbers', 'prompt_versions',
+    'notification_rules', 'notification_deliveries', 'webhook_subscriptions', 'events'
+];
+// Request body field -> column for workspace settings
+const WORKSPACE_FIELDS = {
+    name: 'name',
+    companyName: 'company_name',
+    logoUrl: 'logo_url',
+    primaryColor: 'primary_color',
+    elevenlabsApiKey: 'elevenlabs_api_key',
+    elevenlabsAgentId: 'elevenlabs_agent_id',
+    elevenlabsPhoneNumberId: 'elevenlabs_phone_number_id',
+    elevenlabsWebhookSecret: 'elevenlabs_webhook_secret',
+    mailersendApiKey: 'mailersend_api_key',
+    emailFrom: 'email_from',
+    emailFromName: 'email_from_name',
+    notificationEmail: 'notification_email'
+};
+const WORKSPACE_SECRET_FIELDS = ['elevenlabs_api_key', 'elevenlabs_webhook_secret', 'mailersend_api_key'];
+const workspaceCache = new Map();
+
+async function getWorkspace(workspaceId) {
+    if (!workspaceCache.has(workspaceId)) {
+        const result = await pool.query('SELECT * FROM workspaces WHERE id = $1', [workspaceId]);
+        if (result.rows.length === 0) return null;
+        workspaceCache.set(workspaceId, result.rows[0]);
+    }
+    return workspaceCache.get(workspaceId);
+}
+
+// The first workspace, which owns everything created before workspaces existed
+async function getDefaultWorkspace() {
+    const result = await pool.query('SELECT * FROM workspaces ORDER BY id LIMIT 1');
+    return result.rows[0] || null;
+}
+
+async function getWorkspaceBySlug(slug) {
+    const result = await pool.query('SELECT id FROM workspaces WHERE slug = $1', [slug]);
+    return result.rows.length > 0 ? getWorkspace(result.rows[0].id) : null;
+}
+
+function getWorkspaceRoom(workspaceId) {
+    return `workspace:${workspaceId}`;
+}
+
+// Each user's own dashboards, for per-user alerts
+function getUserRoom(userId) {
+    return `user:${userId}`;
+}
+
+// What members (and the login screen) may see of a workspace
+function toWorkspaceBranding(workspace) {
+    if (!workspace) return null;
+    return {
+        id: workspace.id,
+        slug: workspace.slug,
+        name: workspace.name,
+        company_name: workspace.company_name,
+        logo_url: workspace.logo_url,
+        primary_color: workspace.primary_color
+    };
+}
+
+// Settings as shown to admins: secrets are write-only and only hinted at
+function toWorkspaceSettings(workspace) {
+    const settings = { ...workspace };
+    for (const field of WORKSPACE_SECRET_FIELDS) {
+        const secret = workspace[field];
+        settings[`${field}_hint`] = secret ? (secret.length > 12 ? `…${secret.slice(-4)}` : 'set') : null;
+        delete settings[field];
+    }
+    return settings;
+}
+
+// Validate workspace settings; only fields present in the body are returned, an empty string clears one
+function parseWorkspaceInput(body, { requireName = false } = {}) {
+    const values = {};
+    for (const [field, column] of Object.entries(WORKSPACE_FIELDS)) {
+        if (body[field] === undefined) continue;
+        values[column] = String(body[field] ?? '').trim() || null;
+    }
+
+    if ((requireName || 'name' in values) && !values.name) {
+        throw new Error('Workspace name is required');
+    }
+    if (values.primary_color && !/^#[0-9a-f]{6}$/i.test(values.primary_color)) {
+        throw new Error('Primary color must be a hex color like #4f46e5');
+    }
+    if (values.logo_url && !/^https?:\/\//i.test(values.logo_url)) {
+        throw new Error('Logo URL must start with http:// or https://');
     }
+    if (values.notification_email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(values.notification_email)) {
+        throw new Error('Notification email is not a valid email address');
+    }
+
+    return values;
+}
+
+function toWorkspaceSlug(value) {
+    return String(value || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substr(0, 64);
 }
 
 // Initialize database tables
 async function initializeDatabase() {
     try {
+        // Create workspaces table; the first workspace takes over the env-var configuration
+        const workspacesTable = await pool.query("SELECT to_regclass('workspaces') AS name");
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS workspaces (
+                id SERIAL PRIMARY KEY,
+                slug VARCHAR(64) UNIQUE NOT NULL,
+                name VARCHAR(255) NOT NULL,
+                company_name VARCHAR(255),
+                logo_url TEXT,
+                primary_color VARCHAR(7),
+                elevenlabs_api_key TEXT,
+                elevenlabs_agent_id VARCHAR(255),
+                elevenlabs_phone_number_id VARCHAR(255),
+                elevenlabs_webhook_secret TEXT,
+                mailersend_api_key TEXT,
+                email_from VARCHAR(255),
+                email_from_name VARCHAR(255),
+                notification_email VARCHAR(255),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        if (!workspacesTable.rows[0].name) {
+            await pool.query(`
+                INSERT INTO workspaces (slug, name, company_name, elevenlabs_api_key, elevenlabs_agent_id, elevenlabs_phone_number_id,
+                    elevenlabs_webhook_secret, mailersend_api_key, email_from, notification_email)
+                VALUES ('default', $1, $2, $3, $4, $5, $6, $7, $8, $9)
+            `, [DEFAULT_APP_NAME, DEFAULT_COMPANY_NAME, ELEVENLABS_API_KEY || null, ELEVENLABS_AGENT_ID || null,
+                ELEVENLABS_PHONE_NUMBER_ID || null, WEBHOOK_SECRET || null, process.env.MAILERSEND_API_KEY || null,
+                process.env.MAILERSEND_FROM_EMAIL || null, emailConfig.toEmail || null]);
+            console.log('🏢 Created default workspace from environment configuration');
+        }
+        const defaultWorkspace = await getDefaultWorkspace();
+
         // Create calls table
         await pool.query(`
             CREATE TABLE IF NOT EXISTS calls (
@@ -159,6 +715,25 @@ async function initializeDatabase() {
             console.log('✅ conversation_id column added successfully');
         }
 
+        // Full post-call webhook payload, kept so old calls can be audited and reprocessed
+        await pool.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS raw_payload JSONB');
+
+        // Create call_turns table
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS call_turns (
+                id SERIAL PRIMARY KEY,
+                call_id VARCHAR(255) REFERENCES calls(id) ON DELETE CASCADE,
+                turn_index INTEGER NOT NULL,
+                role VARCHAR(20),
+                message TEXT,
+                time_in_call_secs NUMERIC,
+                tool_calls JSONB,
+                tool_results JSONB,
+                metadata JSONB,
+                UNIQUE (call_id, turn_index)
+            )
+        `);
+
         // Create batches table
         await pool.query(`
             CREATE TABLE IF NOT EXISTS batches (
@@ -173,6 +748,26 @@ async function initializeDatabase() {
             )
         `);
 
+        // Queue and pacing columns for batches
+        await pool.query(`
+            ALTER TABLE batches
+            ADD COLUMN IF NOT EXISTS concurrency INTEGER DEFAULT 1,
+            ADD COLUMN IF NOT EXISTS calls_per_minute INTEGER DEFAULT 30,
+            ADD COLUMN IF NOT EXISTS queued_at TIMESTAMP WITH TIME ZONE,
+            ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE
+        `);
+
+        // Schedule columns: start time, daily calling window, weekdays and default time zone
+        await pool.query(`
+            ALTER TABLE batches
+            ADD COLUMN IF NOT EXISTS start_at TIMESTAMP WITH TIME ZONE,
+            ADD COLUMN IF NOT EXISTS window_start VARCHAR(5),
+            ADD COLUMN IF NOT EXISTS window_end VARCHAR(5),
+            ADD COLUMN IF NOT EXISTS allowed_days VARCHAR(50),
+            ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+            ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMP WITH TIME ZONE
+        `);
+
         // Create batch_calls table
         await pool.query(`
             CREATE TABLE IF NOT EXISTS batch_calls (
@@ -187,503 +782,5808 @@ async function initializeDatabase() {
             )
         `);
 
-        console.log('Database tables initialized successfully');
-    } catch (error) {
-        console.error('Database initialization error:', error);
-    }
-}
-
-initializeDatabase();
-
-// Function to initiate outbound call via ElevenLabs API
-async function initiateOutboundCall(phoneNumber) {
-    if (!ELEVENLABS_API_KEY || !ELEVENLABS_AGENT_ID || !ELEVENLABS_PHONE_NUMBER_ID) {
-        throw new Error('ElevenLabs configuration incomplete. Please set ELEVENLABS_API_KEY, ELEVENLABS_AGENT_ID, and ELEVENLABS_PHONE_NUMBER_ID environment variables.');
-    }
-
-    try {
-        const requestBody = {
-            agent_id: ELEVENLABS_AGENT_ID,
-            agent_phone_number_id: ELEVENLABS_PHONE_NUMBER_ID,
-            to_number: phoneNumber,
-            conversation_initiation_client_data: {}
-        };
+        // Per-number time zone and deferral time for calling windows
+        await pool.query(`
+            ALTER TABLE batch_calls
+            ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+            ADD COLUMN IF NOT EXISTS not_before TIMESTAMP WITH TIME ZONE
+        `);
 
-        const response = await fetch(ELEVENLABS_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'xi-api-key': ELEVENLABS_API_KEY
-            },
-            body: JSON.stringify(requestBody)
-        });
+        // Contact columns from the uploaded CSV
+        await pool.query(`
+            ALTER TABLE batch_calls
+            ADD COLUMN IF NOT EXISTS contact_name VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS company VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS dynamic_variables JSONB DEFAULT '{}'::jsonb
+        `);
 
-        if (!response.ok) {
-            const errorData = await response.text();
-            throw new Error(`ElevenLabs API error: ${response.status} - ${errorData}`);
+        // Final call outcome (answered, voicemail, no-answer, ...) reported after the call ends
+        const outcomeColumn = await pool.query(`
+            SELECT 1 FROM information_schema.columns WHERE table_name = 'batch_calls' AND column_name = 'outcome'
+        `);
+        await pool.query('ALTER TABLE batch_calls ADD COLUMN IF NOT EXISTS outcome VARCHAR(50)');
+        if (outcomeColumn.rows.length === 0) {
+            // Calls used to count as successful as soon as they were placed; move the ones still
+            // waiting for a result back to 'placed' so the webhook or reconciler settles them
+            await pool.query(`
+                WITH waiting AS (
+                    UPDATE batch_calls SET status = 'placed'
+                    FROM calls
+                    WHERE calls.id = batch_calls.call_id AND batch_calls.status = 'completed' AND calls.status = 'initiated'
+                    RETURNING batch_calls.batch_id
+                )
+                UPDATE batches
+                SET successful_calls = GREATEST(successful_calls - waiting_counts.count, 0)
+                FROM (SELECT batch_id, COUNT(*) AS count FROM waiting GROUP BY batch_id) waiting_counts
+                WHERE batches.id = waiting_counts.batch_id
+            `);
         }
 
-        const data = await response.json();
-        
-        return {
-            conversation_id: data.conversation_id || data.id,
-            call_sid: data.callSid || data.call_sid,
-            status: 'initiated',
-            message: data.message || 'Call initiated successfully'
-        };
-    } catch (error) {
-        throw error;
-    }
-}
-
-// Process batch calls sequentially
-async function processBatch(batchId) {
-    try {
-        console.log(`📞 Starting batch processing for batch: ${batchId}`);
-        
-        // Update batch status to processing
-        await pool.query(
-            'UPDATE batches SET status = $1 WHERE id = $2',
-            ['processing', batchId]
-        );
+        // Create agents table (ElevenLabs agent and phone number pairs calls can be placed from)
+        const agentsTable = await pool.query("SELECT to_regclass('agents') AS name");
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS agents (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                elevenlabs_agent_id VARCHAR(255) NOT NULL,
+                phone_number_id VARCHAR(255),
+                phone_number VARCHAR(50),
+                is_default BOOLEAN DEFAULT false,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        const seedAgent = !agentsTable.rows[0].name;
 
-        // Get all pending calls for this batch
-        const batchCalls = await pool.query(
-            'SELECT * FROM batch_calls WHERE batch_id = $1 AND status = $2 ORDER BY created_at',
-            [batchId, 'pending']
-        );
+        // Which agent handled a call, and which agent a batch dials from
+        await pool.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL');
+        await pool.query('ALTER TABLE batches ADD COLUMN IF NOT EXISTS agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL');
 
-        for (const batchCall of batchCalls.rows) {
-            try {
-                console.log(`📞 Calling ${batchCall.phone_number}...`);
-                
-                // Update call status to processing
-                await pool.query(
-                    'UPDATE batch_calls SET status = $1 WHERE id = $2',
-                    ['processing', batchCall.id]
-                );
+        // Retry policy per batch and attempt count per number
+        await pool.query(`
+            ALTER TABLE batches
+            ADD COLUMN IF NOT EXISTS max_attempts INTEGER DEFAULT 1,
+            ADD COLUMN IF NOT EXISTS retry_delay_minutes INTEGER DEFAULT 60,
+            ADD COLUMN IF NOT EXISTS retry_outcomes VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS completion_notified_at TIMESTAMP WITH TIME ZONE
+        `);
+        await pool.query('ALTER TABLE batch_calls ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0');
 
-                // Broadcast progress update
-                io.emit('batchProgress', {
-                    batchId: batchId,
-                    currentCall: batchCall.phone_number,
-                    progress: await getBatchProgress(batchId)
-                });
+        // One row per dial of a batch number
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS batch_call_attempts (
+                id SERIAL PRIMARY KEY,
+                batch_call_id VARCHAR(255) REFERENCES batch_calls(id) ON DELETE CASCADE,
+                attempt_number INTEGER NOT NULL,
+                call_id VARCHAR(255),
+                status VARCHAR(50) DEFAULT 'dialing',
+                outcome VARCHAR(50),
+                error_message TEXT,
+                started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                ended_at TIMESTAMP WITH TIME ZONE
+            )
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_batch_call_attempts_batch_call ON batch_call_attempts (batch_call_id, attempt_number)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_batch_call_attempts_call ON batch_call_attempts (call_id)');
 
-                // Initiate the call
-                const callResult = await initiateOutboundCall(batchCall.phone_number);
-                
-                // Create call record
-                const callData = {
-                    id: `batch-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                    timestamp: new Date().toISOString(),
-                    caller_number: batchCall.phone_number,
-                    called_number: 'Agent',
-                    duration: 0,
-                    status: 'initiated',
-                    call_type: 'outbound',
-                    transcript: '',
-                    conversation_id: callResult.conversation_id
-                };
-
-                // Save call to database
-                await pool.query(`
-                    INSERT INTO calls (id, timestamp, caller_number, called_number, duration, status, call_type, transcript, conversation_id)
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-                `, [callData.id, callData.timestamp, callData.caller_number, callData.called_number, 
-                    callData.duration, callData.status, callData.call_type, callData.transcript, callData.conversation_id]);
+        // A/B prompt variants: each batch number is assigned one and dialed with its prompt override
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS batch_variants (
+                id SERIAL PRIMARY KEY,
+                batch_id VARCHAR(255) REFERENCES batches(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                prompt TEXT,
+                first_message TEXT,
+                weight INTEGER NOT NULL DEFAULT 1,
+                position INTEGER NOT NULL DEFAULT 0
+            )
+        `);
+        await pool.query("ALTER TABLE batches ADD COLUMN IF NOT EXISTS variant_assignment VARCHAR(20) DEFAULT 'round_robin'");
+        await pool.query('ALTER TABLE batch_calls ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES batch_variants(id) ON DELETE SET NULL');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_batch_variants_batch ON batch_variants (batch_id, position)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_batch_calls_variant ON batch_calls (variant_id)');
+
+        // Create users table
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id SERIAL PRIMARY KEY,
+                email VARCHAR(255) UNIQUE NOT NULL,
+                name VARCHAR(255),
+                password_hash TEXT NOT NULL,
+                role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                last_login_at TIMESTAMP WITH TIME ZONE
+            )
+        `);
+
+        // Create sessions table (only token hashes are stored)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                token_hash VARCHAR(64) PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                user_agent TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+            )
+        `);
+
+        // Create notification_rules table
+        const rulesTable = await pool.query("SELECT to_regclass('notification_rules') AS name");
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS notification_rules (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                event VARCHAR(50) NOT NULL,
+                enabled BOOLEAN DEFAULT true,
+                conditions JSONB DEFAULT '{}',
+                channels JSONB DEFAULT '[]',
+                subject_template TEXT,
+                body_template TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        const seedRules = !rulesTable.rows[0].name;
+
+        // Create notification_deliveries table (one row per rule, channel and recipient)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS notification_deliveries (
+                id SERIAL PRIMARY KEY,
+                rule_id INTEGER REFERENCES notification_rules(id) ON DELETE SET NULL,
+                event VARCHAR(50),
+                channel VARCHAR(20),
+                target TEXT,
+                payload JSONB,
+                status VARCHAR(20) DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                last_error TEXT,
+                next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                sent_at TIMESTAMP WITH TIME ZONE
+            )
+        `);
+
+        // Create outgoing webhook tables
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+                id VARCHAR(255) PRIMARY KEY,
+                url TEXT NOT NULL,
+                event_types TEXT[] NOT NULL,
+                description TEXT,
+                secret VARCHAR(255) NOT NULL,
+                enabled BOOLEAN DEFAULT true,
+                created_by VARCHAR(255),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS events (
+                id VARCHAR(255) PRIMARY KEY,
+                type VARCHAR(50) NOT NULL,
+                payload JSONB,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id SERIAL PRIMARY KEY,
+                event_id VARCHAR(255) REFERENCES events(id) ON DELETE CASCADE,
+                subscription_id VARCHAR(255) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+                status VARCHAR(20) DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                response_status INTEGER,
+                last_error TEXT,
+                next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                delivered_at TIMESTAMP WITH TIME ZONE
+            )
+        `);
+
+        // Create webhook_events table (processed event ids for replay protection)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhook_events (
+                event_id VARCHAR(255) PRIMARY KEY,
+                received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+
+        // Create webhook_audit_log table (rejected webhook attempts)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhook_audit_log (
+                id SERIAL PRIMARY KEY,
+                received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                ip_address VARCHAR(100),
+                reason VARCHAR(255),
+                event_id VARCHAR(255),
+                signature_header TEXT,
+                user_agent TEXT,
+                body_excerpt TEXT
+            )
+        `);
+
+        // Create dnc_numbers table
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS dnc_numbers (
+                phone_number VARCHAR(50) PRIMARY KEY,
+                reason TEXT,
+                source VARCHAR(50) DEFAULT 'manual',
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+
+        await pool.query('ALTER TABLE batches ADD COLUMN IF NOT EXISTS skipped_calls INTEGER DEFAULT 0');
+
+        // Create prompt_versions table
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS prompt_versions (
+                id SERIAL PRIMARY KEY,
+                agent_id VARCHAR(255),
+                system_prompt TEXT,
+                first_message TEXT,
+                author VARCHAR(255),
+                diff TEXT,
+                rolled_back_from INTEGER,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+
+        // Scope tenant data to a workspace; rows from before workspaces existed belong to the default one
+        for (const table of WORKSPACE_TABLES) {
+            await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id)`);
+            await pool.query(`UPDATE ${table} SET workspace_id = $1 WHERE workspace_id IS NULL`, [defaultWorkspace.id]);
+            await pool.query(`CREATE INDEX IF NOT EXISTS idx_${table}_workspace ON ${table} (workspace_id)`);
+        }
+
+        // Each workspace keeps its own do-not-call list
+        const dncKey = await pool.query(`
+            SELECT COUNT(*)::int AS columns FROM information_schema.key_column_usage
+            WHERE table_name = 'dnc_numbers' AND constraint_name = 'dnc_numbers_pkey'
+        `);
+        if (dncKey.rows[0].columns === 1) {
+            await pool.query('ALTER TABLE dnc_numbers DROP CONSTRAINT dnc_numbers_pkey, ADD PRIMARY KEY (workspace_id, phone_number)');
+        }
+
+        // Platform admins can create and list workspaces; existing admins become platform admins on upgrade
+        await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS is_platform_admin BOOLEAN DEFAULT false');
+        if (!workspacesTable.rows[0].name) {
+            await pool.query("UPDATE users SET is_platform_admin = true WHERE role = 'admin'");
+        }
+
+        // Create contacts table: one person per normalized number in each workspace
+        const contactsTable = await pool.query("SELECT to_regclass('contacts') AS name");
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS contacts (
+                id SERIAL PRIMARY KEY,
+                workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
+                phone_number VARCHAR(50) NOT NULL,
+                name VARCHAR(255),
+                company VARCHAR(255),
+                tags TEXT[] NOT NULL DEFAULT '{}',
+                notes TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                UNIQUE (workspace_id, phone_number)
+            )
+        `);
+        await pool.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL');
+        await pool.query('ALTER TABLE batch_calls ADD COLUMN IF NOT EXISTS contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_calls_contact ON calls (contact_id)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_batch_calls_contact ON batch_calls (contact_id)');
+
+        // Build contacts from existing batch rows (which carry names) and calls, once
+        if (!contactsTable.rows[0].name) {
+            await pool.query(`
+                INSERT INTO contacts (workspace_id, phone_number, name, company)
+                SELECT DISTINCT ON (batches.workspace_id, batch_calls.phone_number)
+                    batches.workspace_id, batch_calls.phone_number, batch_calls.contact_name, batch_calls.company
+                FROM batch_calls
+                JOIN batches ON batches.id = batch_calls.batch_id
+                ORDER BY batches.workspace_id, batch_calls.phone_number, batch_calls.created_at DESC
+            `);
+            await pool.query(`
+                INSERT INTO contacts (workspace_id, phone_number)
+                SELECT DISTINCT workspace_id, caller_number FROM calls
+                WHERE caller_number ~ '^\\+[1-9][0-9]{7,14}$'
+                ON CONFLICT (workspace_id, phone_number) DO NOTHING
+            `);
+            await pool.query(`
+                UPDATE batch_calls SET contact_id = contacts.id
+                FROM batches, contacts
+                WHERE batches.id = batch_calls.batch_id
+                  AND contacts.workspace_id = batches.workspace_id AND contacts.phone_number = batch_calls.phone_number
+            `);
+            await pool.query(`
+                UPDATE calls SET contact_id = contacts.id
+                FROM contacts
+                WHERE contacts.workspace_id = calls.workspace_id AND contacts.phone_number = calls.caller_number
+            `);
+        }
+
+        // Disposition and notes recorded by whoever reviews a call, plus its follow-up tasks
+        await pool.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS disposition VARCHAR(30)');
+        await pool.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS notes TEXT');
+        await pool.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS disposition_by INTEGER REFERENCES users(id) ON DELETE SET NULL');
+        await pool.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS disposition_at TIMESTAMP WITH TIME ZONE');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_calls_disposition ON calls (workspace_id, disposition)');
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS call_tasks (
+                id SERIAL PRIMARY KEY,
+                workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
+                call_id VARCHAR(255) NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+                title VARCHAR(255) NOT NULL,
+                due_at TIMESTAMP WITH TIME ZONE,
+                assignee_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'open',
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                completed_at TIMESTAMP WITH TIME ZONE
+            )
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_call_tasks_call ON call_tasks (call_id)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_call_tasks_open ON call_tasks (workspace_id, status, due_at)');
+
+        // Transcript tagging: keyword/regex rules per workspace, tags and sentiment per call,
+        // and the tags each user wants a live alert for
+        const tagRulesTable = await pool.query("SELECT to_regclass('tag_rules') AS name");
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tag_rules (
+                id SERIAL PRIMARY KEY,
+                workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
+                tag VARCHAR(50) NOT NULL,
+                match_type VARCHAR(10) NOT NULL DEFAULT 'keyword',
+                pattern TEXT NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tag_alerts (
+                id SERIAL PRIMARY KEY,
+                workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                tag VARCHAR(50) NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                UNIQUE (user_id, tag)
+            )
+        `);
+        await pool.query("ALTER TABLE calls ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}'");
+        await pool.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS sentiment VARCHAR(10)');
+        await pool.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS sentiment_score REAL');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_calls_tags ON calls USING GIN (tags)');
+        if (!tagRulesTable.rows[0].name) {
+            const workspaces = await pool.query('SELECT * FROM workspaces');
+            for (const workspace of workspaces.rows) {
+                await seedDefaultTagRules(workspace);
+            }
+        }
+
+        // Single outbound calls to place at a future time
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS scheduled_calls (
+                id SERIAL PRIMARY KEY,
+                workspace_id INTEGER NOT NULL REFERENCES workspaces(id),
+                phone_number VARCHAR(50) NOT NULL,
+                scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                dynamic_variables JSONB NOT NULL DEFAULT '{}'::jsonb,
+                agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL,
+                contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+                source_call_id VARCHAR(255) REFERENCES calls(id) ON DELETE SET NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                call_id VARCHAR(255),
+                error_message TEXT,
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                completed_at TIMESTAMP WITH TIME ZONE
+            )
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_scheduled_calls_due ON scheduled_calls (status, scheduled_at)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_scheduled_calls_workspace ON scheduled_calls (workspace_id, scheduled_at)');
+
+        if (seedAgent) {
+            await seedDefaultAgent(defaultWorkspace);
+        }
+        if (seedRules) {
+            await seedDefaultNotificationRule(defaultWorkspace);
+        }
+
+        // Indexes for call history pagination and transcript search
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_calls_timestamp_id ON calls (timestamp DESC, id DESC)');
+        await pool.query('CREATE INDEX IF NOT EXISTS idx_calls_workspace_timestamp_id ON calls (workspace_id, timestamp DESC, id DESC)');
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_calls_transcript_search
+            ON calls USING GIN (to_tsvector('english', COALESCE(transcript, '')))
+        `);
+
+        console.log('Database tables initialized successfully');
+    } catch (error) {
+        console.error('Database initialization error:', error);
+    }
+}
+
+// Function to initiate outbound call via ElevenLabs API from the given agent (see resolveAgent);
+// promptOverride ({ prompt, first_message }) replaces the agent's prompt for this call only
+async function initiateOutboundCall(workspace, phoneNumber, dynamicVariables = {}, agent = getWorkspaceAgent(workspace), promptOverride = null) {
+    if (!workspace?.elevenlabs_api_key || !agent?.elevenlabs_agent_id || !agent?.phone_number_id) {
+        throw new Error('ElevenLabs configuration incomplete. Please set the workspace ElevenLabs API key and add an agent with a phone number id.');
+    }
+
+    try {
+        const clientData = Object.keys(dynamicVariables || {}).length > 0
+            ? { dynamic_variables: dynamicVariables }
+            : {};
+
+        // Overrides must be allowed in the ElevenLabs agent's security settings
+        if (promptOverride?.prompt || promptOverride?.first_message) {
+            clientData.conversation_config_override = {
+                agent: {
+                    ...(promptOverride.prompt ? { prompt: { prompt: promptOverride.prompt } } : {}),
+                    ...(promptOverride.first_message ? { first_message: promptOverride.first_message } : {})
+                }
+            };
+        }
+
+        const requestBody = {
+            agent_id: agent.elevenlabs_agent_id,
+            agent_phone_number_id: agent.phone_number_id,
+            to_number: phoneNumber,
+            conversation_initiation_client_data: clientData
+        };
+
+        const response = await fetch(ELEVENLABS_API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'xi-api-key': workspace.elevenlabs_api_key
+            },
+            body: JSON.stringify(requestBody)
+        });
+
+        if (!response.ok) {
+            const errorData = await response.text();
+            throw new Error(`ElevenLabs API error: ${response.status} - ${errorData}`);
+        }
+
+        const data = await response.json();
+        
+        return {
+            conversation_id: data.conversation_id || data.id,
+            call_sid: data.callSid || data.call_sid,
+            status: 'initiated',
+            message: data.message || 'Call initiated successfully'
+        };
+    } catch (error) {
+        throw error;
+    }
+}
+
+// Generic ElevenLabs API request helper, using the workspace's API key
+async function elevenLabsRequest(workspace, endpoint, options = {}) {
+    if (!workspace?.elevenlabs_api_key) {
+        throw new Error('ElevenLabs configuration incomplete. Please set the workspace ElevenLabs API key.');
+    }
+
+    const response = await fetch(`${ELEVENLABS_BASE_URL}${endpoint}`, {
+        method: options.method || 'GET',
+        headers: {
+            'Content-Type': 'application/json',
+            'xi-api-key': workspace.elevenlabs_api_key
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    if (!response.ok) {
+        const errorData = await response.text();
+        const error = new Error(`ElevenLabs API error: ${response.status} - ${errorData}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json();
+}
+
+// Agents: the workspace's own agent settings are used when no agents have been added yet
+function getWorkspaceAgent(workspace) {
+    if (!workspace?.elevenlabs_agent_id) return null;
+    return {
+        id: null,
+        name: 'Default agent',
+        elevenlabs_agent_id: workspace.elevenlabs_agent_id,
+        phone_number_id: workspace.elevenlabs_phone_number_id || null,
+        phone_number: null
+    };
+}
+
+// Look up an agent of the workspace by agents.id, or its default agent when no id is given; null if the id is unknown
+async function resolveAgent(workspace, agentId) {
+    if (agentId) {
+        const id = parseInt(agentId, 10);
+        if (isNaN(id)) return null;
+        const result = await pool.query('SELECT * FROM agents WHERE id = $1 AND workspace_id = $2', [id, workspace.id]);
+        return result.rows[0] || null;
+    }
+
+    const result = await pool.query(
+        'SELECT * FROM agents WHERE workspace_id = $1 ORDER BY is_default DESC, id LIMIT 1',
+        [workspace.id]
+    );
+    return result.rows[0] || getWorkspaceAgent(workspace);
+}
+
+// Attribute an inbound call to an agent by the number that was dialled, then by ElevenLabs agent id
+async function findInboundAgentId(workspaceId, data) {
+    const agentNumber = tryNormalizePhoneNumber(data?.metadata?.phone_call?.agent_number);
+    if (agentNumber) {
+        const byNumber = await pool.query(
+            'SELECT id FROM agents WHERE workspace_id = $1 AND phone_number = $2 ORDER BY is_default DESC, id LIMIT 1',
+            [workspaceId, agentNumber]
+        );
+        if (byNumber.rows.length > 0) return byNumber.rows[0].id;
+    }
+
+    if (data?.agent_id) {
+        const byAgent = await pool.query(
+            'SELECT id FROM agents WHERE workspace_id = $1 AND elevenlabs_agent_id = $2 ORDER BY is_default DESC, id LIMIT 1',
+            [workspaceId, data.agent_id]
+        );
+        if (byAgent.rows.length > 0) return byAgent.rows[0].id;
+    }
+
+    return null;
+}
+
+// The E.164 number behind an ElevenLabs phone number id, or null if it can't be looked up
+async function lookupAgentPhoneNumber(workspace, phoneNumberId) {
+    if (!phoneNumberId || !workspace?.elevenlabs_api_key) return null;
+    try {
+        const phoneNumber = await elevenLabsRequest(workspace, `/convai/phone-numbers/${encodeURIComponent(phoneNumberId)}`);
+        return tryNormalizePhoneNumber(phoneNumber.phone_number);
+    } catch (error) {
+        console.warn(`⚠️ Could not look up phone number ${phoneNumberId}:`, error.message);
+        return null;
+    }
+}
+
+// Turn the default workspace's env-var configuration into its first agent row
+async function seedDefaultAgent(workspace) {
+    if (!workspace.elevenlabs_agent_id) return;
+
+    await pool.query(`
+        INSERT INTO agents (workspace_id, name, elevenlabs_agent_id, phone_number_id, phone_number, is_default)
+        VALUES ($1, $2, $3, $4, $5, true)
+    `, [workspace.id, 'Default agent', workspace.elevenlabs_agent_id, workspace.elevenlabs_phone_number_id,
+        await lookupAgentPhoneNumber(workspace, workspace.elevenlabs_phone_number_id)]);
+    console.log(`🤖 Created default agent for workspace ${workspace.slug}`);
+}
+
+// Validate the body of an agent create/update request
+function parseAgentInput(body) {
+    const name = String(body.name || '').trim();
+    const elevenLabsAgentId = String(body.elevenlabsAgentId || '').trim();
+    if (!name) {
+        throw new Error('Name is required');
+    }
+    if (!elevenLabsAgentId) {
+        throw new Error('ElevenLabs agent id is required');
+    }
+
+    return {
+        name: name.substr(0, 255),
+        elevenlabs_agent_id: elevenLabsAgentId,
+        phone_number_id: String(body.phoneNumberId || '').trim() || null,
+        phone_number: body.phoneNumber ? normalizePhoneNumber(body.phoneNumber) : null,
+        is_default: body.isDefault === true || body.isDefault === 'true'
+    };
+}
+
+// Read the agent's current system prompt and first message
+async function getAgentPrompt(workspace, agentId) {
+    if (!agentId) {
+        throw new Error('ElevenLabs configuration incomplete. Please add an agent to this workspace.');
+    }
+
+    const agent = await elevenLabsRequest(workspace, `/convai/agents/${agentId}`);
+    const agentConfig = agent.conversation_config?.agent || {};
+
+    return {
+        agent_id: agentId,
+        system_prompt: agentConfig.prompt?.prompt || '',
+        first_message: agentConfig.first_message || ''
+    };
+}
+
+// Push a new system prompt and first message to the agent configuration
+async function updateAgentPrompt(workspace, systemPrompt, firstMessage, agentId) {
+    if (!agentId) {
+        throw new Error('ElevenLabs configuration incomplete. Please add an agent to this workspace.');
+    }
+
+    await elevenLabsRequest(workspace, `/convai/agents/${agentId}`, {
+        method: 'PATCH',
+        body: {
+            conversation_config: {
+                agent: {
+                    prompt: { prompt: systemPrompt },
+                    first_message: firstMessage
+                }
+            }
+        }
+    });
+}
+
+// Line-based diff between two texts ("+ " added, "- " removed)
+function diffLines(oldText, newText) {
+    const oldLines = (oldText || '').split('\n');
+    const newLines = (newText || '').split('\n');
+
+    // Longest common subsequence table
+    const lcs = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lcs[i][j] = oldLines[i] === newLines[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length && j < newLines.length) {
+        if (oldLines[i] === newLines[j]) {
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            changes.push(`- ${oldLines[i++]}`);
+        } else {
+            changes.push(`+ ${newLines[j++]}`);
+        }
+    }
+    while (i < oldLines.length) changes.push(`- ${oldLines[i++]}`);
+    while (j < newLines.length) changes.push(`+ ${newLines[j++]}`);
+
+    return changes.join('\n');
+}
+
+// Record a saved prompt in prompt_versions with a diff against the previous version
+async function savePromptVersion({ workspaceId, agentId, systemPrompt, firstMessage, author, rolledBackFrom = null }) {
+    const previous = await pool.query(
+        'SELECT * FROM prompt_versions WHERE workspace_id = $1 AND agent_id = $2 ORDER BY id DESC LIMIT 1',
+        [workspaceId, agentId]
+    );
+    const previousVersion = previous.rows[0];
+
+    let diff = diffLines(previousVersion?.system_prompt, systemPrompt);
+    if ((previousVersion?.first_message || '') !== (firstMessage || '')) {
+        diff += `${diff ? '\n' : ''}First message:\n${diffLines(previousVersion?.first_message, firstMessage)}`;
+    }
+
+    const result = await pool.query(`
+        INSERT INTO prompt_versions (workspace_id, agent_id, system_prompt, first_message, author, diff, rolled_back_from)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+    `, [workspaceId, agentId, systemPrompt, firstMessage, author, diff, rolledBackFrom]);
+
+    return result.rows[0];
+}
+
+// Process a single batch call: dial it, record the call and update counters
+async function processBatchCall(workspace, batchId, batchCall, agent, variant = null) {
+    let attemptId = null;
+
+    try {
+        // Record the attempt before dialing so every try shows up in the history
+        const counted = await pool.query(
+            'UPDATE batch_calls SET attempts = attempts + 1 WHERE id = $1 RETURNING attempts',
+            [batchCall.id]
+        );
+        batchCall.attempts = counted.rows[0].attempts;
+        const attempt = await pool.query(
+            'INSERT INTO batch_call_attempts (batch_call_id, attempt_number) VALUES ($1, $2) RETURNING id',
+            [batchCall.id, batchCall.attempts]
+        );
+        attemptId = attempt.rows[0].id;
+
+        console.log(`📞 Calling ${batchCall.phone_number} (attempt ${batchCall.attempts})...`);
+
+        // Broadcast progress update
+        broadcastEvent(workspace.id, 'batchProgress', {
+            batchId: batchId,
+            currentCall: batchCall.phone_number,
+            progress: await getBatchProgress(batchId)
+        });
+
+        // Initiate the call, with the number's A/B variant prompt (also exposed as {{prompt_variant}})
+        const dynamicVariables = variant
+            ? { ...batchCall.dynamic_variables, prompt_variant: variant.name }
+            : batchCall.dynamic_variables;
+        const callResult = await initiateOutboundCall(workspace, batchCall.phone_number, dynamicVariables, agent, variant);
+        
+        // Create call record
+        const callData = {
+            id: `batch-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: new Date().toISOString(),
+            caller_number: batchCall.phone_number,
+            called_number: agent?.phone_number || 'Agent',
+            duration: 0,
+            status: 'initiated',
+            call_type: 'outbound',
+            transcript: '',
+            conversation_id: callResult.conversation_id,
+            agent_id: agent?.id || null,
+            workspace_id: workspace.id,
+            contact_id: batchCall.contact_id || null,
+            contact_name: batchCall.contact_name || null
+        };
+
+        // Save call to database
+        await pool.query(`
+            INSERT INTO calls (id, timestamp, caller_number, called_number, duration, status, call_type, transcript, conversation_id, agent_id, workspace_id, contact_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        `, [callData.id, callData.timestamp, callData.caller_number, callData.called_number, 
+            callData.duration, callData.status, callData.call_type, callData.transcript, callData.conversation_id, callData.agent_id,
+            callData.workspace_id, callData.contact_id]);
+
+        // The call is placed; it only counts as successful or failed once its outcome arrives
+        await pool.query(
+            'UPDATE batch_calls SET status = $1, call_id = $2, outcome = NULL, error_message = NULL, completed_at = NOW() WHERE id = $3',
+            ['placed', callData.id, batchCall.id]
+        );
+        await pool.query(
+            "UPDATE batch_call_attempts SET status = 'placed', call_id = $2 WHERE id = $1",
+            [attemptId, callData.id]
+        );
+
+        // Update batch counters
+        await pool.query(
+            'UPDATE batches SET completed_calls = completed_calls + 1 WHERE id = $1',
+            [batchId]
+        );
+
+        // Broadcast new call
+        broadcastEvent(workspace.id, 'newCall', callData);
+
+        console.log(`✅ Call initiated successfully to ${batchCall.phone_number}`);
+
+    } catch (error) {
+        console.error(`❌ Failed to call ${batchCall.phone_number}:`, error.message);
+
+        if (attemptId) {
+            await pool.query(
+                "UPDATE batch_call_attempts SET status = 'failed', outcome = 'failed', error_message = $2, ended_at = NOW() WHERE id = $1",
+                [attemptId, error.message]
+            );
+        }
+
+        // A call that could not be placed is retried like any other failed call
+        await finishBatchCall(batchCall, 'processing', 'failed', error.message);
+    }
+}
+
+// Atomically claim the next pending call of a batch
+async function claimNextBatchCall(batchId) {
+    const result = await pool.query(`
+        UPDATE batch_calls SET status = 'processing'
+        WHERE id = (
+            SELECT id FROM batch_calls
+            WHERE batch_id = $1 AND status = 'pending'
+              AND (not_before IS NULL OR not_before <= NOW())
+            ORDER BY created_at, id
+            LIMIT 1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [batchId]);
+    return result.rows[0] || null;
+}
+
+// Returns 'paused'/'cancelled' if the batch has been stopped, otherwise null
+async function getStoppedStatus(batchId) {
+    const batchState = await pool.query('SELECT status FROM batches WHERE id = $1', [batchId]);
+    const batchStatus = batchState.rows[0]?.status;
+    return batchStatus === 'paused' || batchStatus === 'cancelled' ? batchStatus : null;
+}
+
+// One of the batch's concurrent workers; returns 'paused'/'cancelled' if stopped early
+async function runBatchWorker(workspace, batch, pacer, agent, variants) {
+    const batchId = batch.id;
+
+    while (true) {
+        // Stop between calls if the batch was paused or cancelled
+        const stoppedStatus = await getStoppedStatus(batchId);
+        if (stoppedStatus) {
+            return stoppedStatus;
+        }
+
+        const batchCall = await claimNextBatchCall(batchId);
+        if (!batchCall) {
+            return null;
+        }
+
+        // Never dial numbers on the do-not-call list
+        const dncEntry = await getDoNotCallEntry(workspace.id, batchCall.phone_number);
+        if (dncEntry) {
+            await pool.query(
+                'UPDATE batch_calls SET status = $1, error_message = $2, completed_at = NOW() WHERE id = $3',
+                ['skipped', `Skipped: number is on the do-not-call list${dncEntry.reason ? ` (${dncEntry.reason})` : ''}`, batchCall.id]
+            );
+            await pool.query(
+                'UPDATE batches SET completed_calls = completed_calls + 1, skipped_calls = skipped_calls + 1 WHERE id = $1',
+                [batchId]
+            );
+            console.log(`🚫 Skipped ${batchCall.phone_number}: on do-not-call list`);
+            continue;
+        }
+
+        // Defer numbers that are outside their local calling window
+        const timeZone = getBatchCallTimezone(batchCall, batch);
+        const nextCallingTime = getNextCallingTime(batch, timeZone);
+        if (nextCallingTime && nextCallingTime > new Date()) {
+            await pool.query(
+                'UPDATE batch_calls SET status = $1, not_before = $2, error_message = $3 WHERE id = $4',
+                ['pending', nextCallingTime.toISOString(), `Deferred until ${nextCallingTime.toISOString()} (${timeZone})`, batchCall.id]
+            );
+            continue;
+        }
+
+        // Reserve the next call slot so all workers together respect calls_per_minute
+        const now = Date.now();
+        const slot = Math.max(now, pacer.nextCallAt);
+        pacer.nextCallAt = slot + pacer.intervalMs;
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+
+            // The batch may have been stopped while waiting for the slot
+            // A paused batch dials the number later; a cancelled one never will
+            const stoppedWhileWaiting = await getStoppedStatus(batchId);
+            if (stoppedWhileWaiting === 'cancelled') {
+                await pool.query(
+                    "UPDATE batch_calls SET status = 'cancelled', error_message = 'Batch cancelled' WHERE id = $1",
+                    [batchCall.id]
+                );
+                return stoppedWhileWaiting;
+            }
+            if (stoppedWhileWaiting) {
+                await pool.query("UPDATE batch_calls SET status = 'pending' WHERE id = $1", [batchCall.id]);
+                return stoppedWhileWaiting;
+            }
+        }
+
+        await processBatchCall(workspace, batchId, batchCall, agent, variants.get(batchCall.variant_id) || null);
+    }
+}
+
+// Give every unassigned number of the batch a prompt variant; returns the variants by id
+async function assignBatchVariants(batch) {
+    const variants = await pool.query('SELECT * FROM batch_variants WHERE batch_id = $1 ORDER BY position, id', [batch.id]);
+    if (variants.rows.length === 0) {
+        return new Map();
+    }
+
+    const unassigned = await pool.query(
+        'SELECT id FROM batch_calls WHERE batch_id = $1 AND variant_id IS NULL ORDER BY created_at, id',
+        [batch.id]
+    );
+    if (unassigned.rows.length > 0) {
+        // Round-robin continues where an earlier run of the batch left off
+        const assigned = await pool.query(
+            'SELECT COUNT(*)::int AS count FROM batch_calls WHERE batch_id = $1 AND variant_id IS NOT NULL',
+            [batch.id]
+        );
+        const ids = unassigned.rows.map(row => row.id);
+        const variantIds = ids.map((id, index) =>
+            pickBatchVariant(variants.rows, batch.variant_assignment, assigned.rows[0].count + index).id
+        );
+        await pool.query(`
+            UPDATE batch_calls SET variant_id = assignment.variant_id
+            FROM unnest($1::text[], $2::int[]) AS assignment(id, variant_id)
+            WHERE batch_calls.id = assignment.id
+        `, [ids, variantIds]);
+        console.log(`🧪 Assigned ${ids.length} number(s) of batch ${batch.id} to ${variants.rows.length} prompt variants`);
+    }
+
+    return new Map(variants.rows.map(variant => [variant.id, variant]));
+}
+
+// Round-robin cycles through the variants in order; split picks at random in proportion to their weights
+function pickBatchVariant(variants, assignment, index) {
+    if (assignment !== 'split') {
+        return variants[index % variants.length];
+    }
+
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let pick = Math.random() * totalWeight;
+    for (const variant of variants) {
+        pick -= variant.weight;
+        if (pick < 0) return variant;
+    }
+    return variants[variants.length - 1];
+}
+
+// Validate a batch's prompt variants (a JSON list of { name, prompt, firstMessage, weight }); throws with a user-facing message
+function parseBatchVariants(input) {
+    const assignment = input.variantAssignment || 'round_robin';
+    if (!BATCH_VARIANT_ASSIGNMENTS.includes(assignment)) {
+        throw new Error(`Variant assignment must be one of: ${BATCH_VARIANT_ASSIGNMENTS.join(', ')}`);
+    }
+
+    let list = input.variants || [];
+    if (typeof list === 'string') {
+        try {
+            list = list.trim() ? JSON.parse(list) : [];
+        } catch (error) {
+            throw new Error('Variants must be valid JSON');
+        }
+    }
+    if (!Array.isArray(list)) {
+        throw new Error('Variants must be a list');
+    }
+    if (list.length === 0) {
+        return { assignment, variants: [] };
+    }
+    if (list.length < 2 || list.length > BATCH_MAX_VARIANTS) {
+        throw new Error(`An A/B test needs between 2 and ${BATCH_MAX_VARIANTS} variants`);
+    }
+
+    const variants = list.map((variant, index) => {
+        const name = String(variant?.name ?? '').trim().substr(0, 100) || `Variant ${String.fromCharCode(65 + index)}`;
+        const prompt = String(variant?.prompt ?? '').trim() || null;
+        const firstMessage = String(variant?.firstMessage ?? '').trim() || null;
+        if (!prompt && !firstMessage) {
+            throw new Error(`${name} needs a prompt or a first message`);
+        }
+        const weight = variant?.weight === undefined || variant?.weight === '' ? 1 : Number(variant.weight);
+        if (!Number.isInteger(weight) || weight < 1 || weight > BATCH_MAX_VARIANT_WEIGHT) {
+            throw new Error(`${name} weight must be a whole number from 1 to ${BATCH_MAX_VARIANT_WEIGHT}`);
+        }
+        return { name, prompt, first_message: firstMessage, weight };
+    });
+
+    if (new Set(variants.map(variant => variant.name.toLowerCase())).size !== variants.length) {
+        throw new Error('Variant names must be unique');
+    }
+
+    return { assignment, variants };
+}
+
+// Outcome metrics per prompt variant: answer rate over numbers in a final status (not those awaiting a retry), average talk time and dispositions
+async function getBatchVariantStats(batchId) {
+    const stats = await pool.query(`
+        SELECT batch_variants.id, batch_variants.name, batch_variants.weight,
+            batch_variants.prompt, batch_variants.first_message,
+            COUNT(batch_calls.id)::int AS assigned,
+            COUNT(*) FILTER (WHERE batch_calls.status IN ('completed', 'failed'))::int AS settled,
+            COUNT(*) FILTER (WHERE batch_calls.status IN ('completed', 'failed') AND batch_calls.outcome = ANY($2))::int AS answered,
+            ROUND(AVG(calls.duration) FILTER (WHERE calls.duration > 0))::int AS avg_duration
+        FROM batch_variants
+        LEFT JOIN batch_calls ON batch_calls.variant_id = batch_variants.id
+        LEFT JOIN calls ON calls.id = batch_calls.call_id
+        WHERE batch_variants.batch_id = $1
+        GROUP BY batch_variants.id
+        ORDER BY batch_variants.position, batch_variants.id
+    `, [batchId, SUCCESSFUL_CALL_OUTCOMES]);
+
+    const dispositions = await pool.query(`
+        SELECT batch_calls.variant_id, COALESCE(calls.disposition, 'none') AS disposition, COUNT(*)::int AS count
+        FROM batch_calls
+        JOIN calls ON calls.id = batch_calls.call_id
+        JOIN batch_variants ON batch_variants.id = batch_calls.variant_id
+        WHERE batch_variants.batch_id = $1
+        GROUP BY batch_calls.variant_id, COALESCE(calls.disposition, 'none')
+    `, [batchId]);
+
+    return stats.rows.map(variant => ({
+        ...variant,
+        answer_rate: variant.settled > 0 ? Math.round((variant.answered / variant.settled) * 1000) / 10 : null,
+        dispositions: Object.fromEntries(dispositions.rows
+            .filter(row => row.variant_id === variant.id)
+            .map(row => [row.disposition, row.count]))
+    }));
+}
+
+// Move a batch on once its runner is done, from what its numbers still need: 'scheduled' until the next
+// deferred or retried number is due, 'processing' while placed calls await their outcome, then 'completed'.
+// Returns the new state, or null if the batch was paused, cancelled or re-queued in the meantime.
+async function updateBatchState(batchId) {
+    const result = await pool.query(`
+        WITH previous AS (
+            SELECT completion_notified_at FROM batches WHERE id = $1
+        ), remaining AS (
+            SELECT COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+                   MIN(COALESCE(not_before, NOW())) FILTER (WHERE status = 'pending') AS next_run_at,
+                   COUNT(*) FILTER (WHERE status IN ('processing', 'placed'))::int AS awaiting_outcome
+            FROM batch_calls WHERE batch_id = $1
+        )
+        UPDATE batches
+        SET status = CASE WHEN remaining.pending > 0 THEN 'scheduled'
+                          WHEN remaining.awaiting_outcome > 0 THEN 'processing'
+                          ELSE 'completed' END,
+            next_run_at = CASE WHEN remaining.pending > 0 THEN remaining.next_run_at ELSE batches.next_run_at END,
+            completion_notified_at = CASE WHEN remaining.pending = 0 AND remaining.awaiting_outcome = 0
+                THEN COALESCE(batches.completion_notified_at, NOW()) ELSE batches.completion_notified_at END
+        FROM remaining, previous
+        WHERE batches.id = $1 AND batches.status IN ('processing', 'scheduled')
+        RETURNING batches.workspace_id, batches.status, batches.next_run_at, remaining.awaiting_outcome,
+            previous.completion_notified_at IS NULL AND batches.completion_notified_at IS NOT NULL AS notify
+    `, [batchId]);
+    const state = result.rows[0];
+    if (!state) {
+        return null;
+    }
+
+    // Outcomes only arrive after dialing, so the batch is reported once its last placed call has settled,
+    // and only the first time (a manual retry of failed numbers resets this)
+    const progress = await getBatchProgress(batchId);
+    if (state.notify) {
+        broadcastEvent(state.workspace_id, 'batchCompleted', { batchId, progress });
+        notifyEvent(state.workspace_id, 'batch.completed', buildBatchNotificationContext(progress));
+        console.log(`🎉 Batch ${batchId} completed!`);
+    } else {
+        broadcastEvent(state.workspace_id, 'batchProgress', { batchId, currentCall: null, progress });
+    }
+    return state;
+}
+
+// Process batch calls with the batch's concurrency limit and calls-per-minute pacing
+async function processBatch(batchId, workspaceId) {
+    let dialingDone = false;
+    try {
+        console.log(`📞 Starting batch processing for batch: ${batchId}`);
+        
+        // Update batch status to processing (unless it was paused or cancelled while queued)
+        await pool.query(
+            'UPDATE batches SET status = $1, started_at = COALESCE(started_at, NOW()) WHERE id = $2 AND status = $3',
+            ['processing', batchId, 'queued']
+        );
+
+        const batch = await getBatchProgress(batchId);
+        const concurrency = clampNumber(batch.concurrency, 1, BATCH_MAX_CONCURRENCY, BATCH_DEFAULT_CONCURRENCY);
+        const callsPerMinute = clampNumber(batch.calls_per_minute, 1, BATCH_MAX_CALLS_PER_MINUTE, BATCH_DEFAULT_CALLS_PER_MINUTE);
+        const pacer = { nextCallAt: Date.now(), intervalMs: 60000 / callsPerMinute };
+        const workspace = await getWorkspace(workspaceId);
+        // A batch whose agent was removed falls back to the default agent
+        const agent = await resolveAgent(workspace, batch.agent_id);
+        const variants = await assignBatchVariants(batch);
+
+        const workerResults = await Promise.all(
+            Array.from({ length: concurrency }, () => runBatchWorker(workspace, batch, pacer, agent, variants))
+        );
+        const stoppedStatus = workerResults.find(Boolean) || null;
+
+        if (stoppedStatus) {
+            // Broadcast the paused/cancelled state so dashboards stop showing a running batch
+            broadcastEvent(workspaceId, 'batchProgress', {
+                batchId: batchId,
+                currentCall: null,
+                progress: await getBatchProgress(batchId)
+            });
+
+            console.log(`⏸️ Batch ${batchId} ${stoppedStatus}`);
+        } else {
+            dialingDone = true;
+        }
+
+    } catch (error) {
+        console.error(`💥 Batch processing failed for ${batchId}:`, error);
+        
+        // Mark batch as failed
+        await pool.query(
+            'UPDATE batches SET status = $1 WHERE id = $2',
+            ['failed', batchId]
+        ).catch(err => console.error('Failed to mark batch as failed:', err));
+    }
+
+    // Free the workspace's slot first, so calls that settle from here on move the batch on themselves
+    runningBatches.delete(workspaceId);
+
+    if (dialingDone) {
+        try {
+            // Deferred numbers release the queue until their calling window opens; placed calls keep
+            // the batch processing until their outcomes arrive
+            const state = await updateBatchState(batchId);
+            if (state?.status === 'scheduled') {
+                console.log(`🕘 Batch ${batchId} waiting for calling window until ${new Date(state.next_run_at).toISOString()}`);
+            } else if (state?.status === 'processing') {
+                console.log(`⏳ Batch ${batchId} dialed, waiting for ${state.awaiting_outcome} call outcome(s)`);
+            }
+        } catch (error) {
+            console.error(`Batch state update failed for ${batchId}:`, error);
+        }
+    }
+
+    // Pick up the next queued batches
+    runNextBatch();
+}
+
+// True if the batch is currently being dialed by its workspace's runner
+function isBatchRunning(batchId) {
+    return Array.from(runningBatches.values()).includes(batchId);
+}
+
+// Start the oldest queued batch of every workspace that has no batch running; returns the started ids
+async function runNextBatch() {
+    try {
+        const next = await pool.query(`
+            SELECT DISTINCT ON (workspace_id) id, workspace_id FROM batches
+            WHERE status = 'queued'
+            ORDER BY workspace_id, queued_at, created_at
+        `);
+
+        const started = [];
+        for (const batch of next.rows) {
+            // Another caller may have claimed the workspace's slot while we were querying
+            if (runningBatches.has(batch.workspace_id)) {
+                continue;
+            }
+            runningBatches.set(batch.workspace_id, batch.id);
+            processBatch(batch.id, batch.workspace_id);
+            started.push(batch.id);
+        }
+        return started;
+    } catch (error) {
+        console.error('Batch queue error:', error);
+        return [];
+    }
+}
+
+// Queue a batch in the database and start it if its workspace is idle; returns true if it started
+async function enqueueBatch(batchId) {
+    await pool.query(
+        "UPDATE batches SET status = 'queued', queued_at = NOW() WHERE id = $1",
+        [batchId]
+    );
+    const started = await runNextBatch();
+    return started.includes(batchId);
+}
+
+// Recover batches interrupted by a restart and resume the queue
+async function recoverBatchQueue() {
+    try {
+        // Rows left mid-dial never got a call record, so they go back to pending and the
+        // unfinished attempt is dropped (a retried row still carries its previous call_id)
+        const resetCalls = await pool.query(`
+            UPDATE batch_calls SET status = 'pending', attempts = GREATEST(attempts - 1, 0)
+            WHERE status = 'processing'
+        `);
+        await pool.query("DELETE FROM batch_call_attempts WHERE status = 'dialing'");
+        const requeued = await pool.query(`
+            UPDATE batches SET status = 'queued', queued_at = COALESCE(queued_at, NOW())
+            WHERE status = 'processing'
+            RETURNING id
+        `);
+
+        if (resetCalls.rowCount > 0 || requeued.rowCount > 0) {
+            console.log(`🔁 Recovered ${requeued.rowCount} interrupted batch(es) and ${resetCalls.rowCount} in-flight call(s)`);
+        }
+
+        await runNextBatch();
+    } catch (error) {
+        console.error('Batch recovery error:', error);
+    }
+}
+
+// Queue scheduled batches whose start time or next calling window has arrived
+async function promoteScheduledBatches() {
+    try {
+        const due = await pool.query(`
+            UPDATE batches SET status = 'queued', queued_at = NOW()
+            WHERE status = 'scheduled' AND (next_run_at IS NULL OR next_run_at <= NOW())
+            RETURNING id
+        `);
+
+        if (due.rowCount > 0) {
+            console.log(`🕘 ${due.rowCount} scheduled batch(es) ready to run`);
+        }
+
+        await runNextBatch();
+    } catch (error) {
+        console.error('Batch scheduler error:', error);
+    }
+}
+
+// Parse an integer setting and clamp it to a range
+function clampNumber(value, min, max, fallback) {
+    const number = parseInt(value, 10);
+    if (isNaN(number)) return fallback;
+    return Math.min(Math.max(number, min), max);
+}
+
+// Outbound call reconciler: settles calls whose post-call webhook never arrived
+const RECONCILE_INTERVAL = (parseInt(process.env.RECONCILE_INTERVAL_SECONDS, 10) || 120) * 1000;
+const RECONCILE_GRACE_MINUTES = parseInt(process.env.RECONCILE_GRACE_MINUTES, 10) || 5;
+const RECONCILE_TIMEOUT_MINUTES = parseInt(process.env.RECONCILE_TIMEOUT_MINUTES, 10) || 120;
+
+// Final outcomes of a placed call; only the successful ones count towards a batch's successful_calls
+const CALL_OUTCOMES = ['completed-conversation', 'answered', 'voicemail', 'no-answer', 'failed'];
+const SUCCESSFUL_CALL_OUTCOMES = ['completed-conversation', 'answered'];
+const RETRYABLE_CALL_OUTCOMES = ['no-answer', 'voicemail', 'failed'];
+
+// Classify a finished ElevenLabs conversation (webhook data or API response), or null while it is still running
+function getCallOutcome(conversation) {
+    if (conversation.status === 'failed') {
+        return 'failed';
+    }
+    if (conversation.status && conversation.status !== 'done') {
+        return null;
+    }
+
+    const turns = conversation.transcript || [];
+    const terminationReason = conversation.metadata?.termination_reason || '';
+    const voicemailTool = turns.some(turn =>
+        (turn.tool_calls || []).some(toolCall => /voicemail/i.test(toolCall.tool_name || ''))
+    );
+    if (/voicemail/i.test(terminationReason) || voicemailTool) {
+        return 'voicemail';
+    }
+
+    // A finished conversation where the lead never spoke was not answered
+    const callerSpoke = turns.some(turn => turn.role === 'user' && turn.message);
+    if (!callerSpoke) {
+        return 'no-answer';
+    }
+
+    return conversation.analysis?.call_successful === 'success' ? 'completed-conversation' : 'answered';
+}
+
+// Retry a number if the batch's policy allows it, otherwise settle it as completed or failed.
+// `fromStatus` is the status the row must still have, so the webhook and the reconciler
+// can't both settle the same attempt.
+async function finishBatchCall(batchCall, fromStatus, outcome, errorMessage) {
+    const batchId = batchCall.batch_id;
+    const batch = await getBatchProgress(batchId);
+    const successful = SUCCESSFUL_CALL_OUTCOMES.includes(outcome);
+    const message = successful ? null : (errorMessage || `Call ${outcome}`);
+    const retryAt = successful ? null : getRetryTime(batch, batchCall, outcome);
+    // Placed calls were already counted as processed; failed placements were not
+    const wasCounted = fromStatus === 'placed';
+
+    if (retryAt) {
+        const retried = await pool.query(`
+            UPDATE batch_calls SET status = 'pending', outcome = $3, not_before = $4, error_message = $5, completed_at = NULL
+            WHERE id = $1 AND status = $2
+        `, [batchCall.id, fromStatus, outcome, retryAt.toISOString(),
+            `Attempt ${batchCall.attempts} ${outcome}: retrying at ${retryAt.toISOString()}`]);
+        if (retried.rowCount === 0) {
+            return;
+        }
+
+        if (wasCounted) {
+            await pool.query('UPDATE batches SET completed_calls = GREATEST(completed_calls - 1, 0) WHERE id = $1', [batchId]);
+        }
+
+        console.log(`🔁 ${batchCall.phone_number} ${outcome} on attempt ${batchCall.attempts}, retrying at ${retryAt.toISOString()}`);
+
+        // A batch that is only waiting for outcomes sleeps until the retry is due (a running batch picks it up itself)
+        if (!isBatchRunning(batchId) && await updateBatchState(batchId)) {
+            return;
+        }
+    } else {
+        const settled = await pool.query(`
+            UPDATE batch_calls SET status = $3, outcome = $4, error_message = $5, completed_at = COALESCE(completed_at, NOW())
+            WHERE id = $1 AND status = $2
+        `, [batchCall.id, fromStatus, successful ? 'completed' : 'failed', outcome, message]);
+        if (settled.rowCount === 0) {
+            return;
+        }
+
+        const counters = [
+            successful ? 'successful_calls = successful_calls + 1' : 'failed_calls = failed_calls + 1',
+            ...(wasCounted ? [] : ['completed_calls = completed_calls + 1'])
+        ];
+        await pool.query(`UPDATE batches SET ${counters.join(', ')} WHERE id = $1`, [batchId]);
+
+        // Once dialing is done, the last outcome to arrive completes the batch
+        if (!isBatchRunning(batchId) && await updateBatchState(batchId)) {
+            return;
+        }
+    }
+
+    broadcastEvent(batch.workspace_id, 'batchProgress', { batchId, currentCall: null, progress: await getBatchProgress(batchId) });
+}
+
+// When to dial a number again under the batch's retry policy, or null if it has no attempts left
+function getRetryTime(batch, batchCall, outcome) {
+    if (!batch || batch.status === 'cancelled') return null;
+    if ((batchCall.attempts || 1) >= (batch.max_attempts || 1)) return null;
+    if (!parseRetryOutcomes(batch.retry_outcomes).includes(outcome)) return null;
+
+    const delayMinutes = batch.retry_delay_minutes || BATCH_DEFAULT_RETRY_DELAY_MINUTES;
+    const earliest = new Date(Date.now() + delayMinutes * 60000);
+    return getNextCallingTime(batch, getBatchCallTimezone(batchCall, batch), earliest);
+}
+
+// Settle the attempt behind a placed call once its real outcome is known
+async function settleBatchCall(callId, outcome, errorMessage) {
+    const successful = SUCCESSFUL_CALL_OUTCOMES.includes(outcome);
+    await pool.query(`
+        UPDATE batch_call_attempts SET status = $2, outcome = $3, error_message = $4, ended_at = NOW()
+        WHERE call_id = $1 AND ended_at IS NULL
+    `, [callId, successful ? 'completed' : 'failed', outcome, successful ? null : (errorMessage || `Call ${outcome}`)]);
+
+    const batchCall = await pool.query("SELECT * FROM batch_calls WHERE call_id = $1 AND status = 'placed'", [callId]);
+    if (batchCall.rows.length === 0) {
+        return;
+    }
+
+    await finishBatchCall(batchCall.rows[0], 'placed', outcome, errorMessage);
+}
+
+async function reconcileOutboundCall(call) {
+    const ageMinutes = (Date.now() - new Date(call.timestamp).getTime()) / 60000;
+    const timedOut = ageMinutes >= RECONCILE_TIMEOUT_MINUTES;
+    let conversation = null;
+
+    if (call.conversation_id) {
+        const workspace = await getWorkspace(call.workspace_id);
+        try {
+            conversation = await elevenLabsRequest(workspace, `/convai/conversations/${encodeURIComponent(call.conversation_id)}`);
+        } catch (error) {
+            // A conversation that never got created is treated like one that never finished, and a
+            // call past the timeout is settled even when the lookup keeps failing so it stops blocking the queue
+            if (error.status !== 404 && !timedOut) throw error;
+            if (error.status !== 404) {
+                console.error(`Conversation lookup failed for timed-out call ${call.id}:`, error.message);
+            }
+        }
+    }
+
+    const outcome = conversation ? getCallOutcome(conversation) : null;
+    if (!outcome && !timedOut) {
+        return null;
+    }
+
+    const status = outcome || 'timed-out';
+    const turns = conversation?.transcript || [];
+    const result = await pool.query(`
+        UPDATE calls
+        SET status = $2,
+            duration = GREATEST(COALESCE(duration, 0), $3),
+            transcript = CASE WHEN LENGTH($4) > LENGTH(COALESCE(transcript, '')) THEN $4 ELSE transcript END
+        WHERE id = $1 AND status = 'initiated'
+        RETURNING *
+    `, [call.id, status, conversation?.metadata?.call_duration_secs || 0, formatTranscript(turns)]);
+
+    // The webhook may have settled the call while we were polling
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    if (conversation && turns.length > 0) {
+        await storeCallPayload(call.id, { type: 'conversation_reconciled', data: conversation });
+    }
+
+    broadcastEvent(call.workspace_id, 'updateCall', withoutRawPayload(result.rows[0]));
+    if (outcome) {
+        await settleBatchCall(call.id, outcome);
+    } else {
+        await settleBatchCall(call.id, 'failed', 'Call timed out');
+    }
+    return status;
+}
+
+let reconcilerRunning = false;
+async function reconcileOutboundCalls(workspaceId = null) {
+    if (reconcilerRunning) return { checked: 0, settled: 0 };
+    reconcilerRunning = true;
+
+    let checked = 0;
+    let settled = 0;
+    try {
+        // Only workspaces with ElevenLabs credentials can be polled
+        const stale = await pool.query(`
+            SELECT c.* FROM calls c
+            JOIN workspaces w ON w.id = c.workspace_id
+            WHERE c.call_type = 'outbound' AND c.status = 'initiated'
+              AND c.timestamp < NOW() - make_interval(mins => $1)
+              AND w.elevenlabs_api_key IS NOT NULL
+              AND ($2::int IS NULL OR c.workspace_id = $2)
+            ORDER BY c.timestamp
+            LIMIT 25
+        `, [RECONCILE_GRACE_MINUTES, workspaceId]);
+
+        for (const call of stale.rows) {
+            checked++;
+            try {
+                const status = await reconcileOutboundCall(call);
+                if (status) {
+                    settled++;
+                    console.log(`🔄 Reconciled call ${call.id}: ${status}`);
+                }
+            } catch (error) {
+                console.error(`Reconcile failed for call ${call.id}:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('Call reconciler error:', error);
+    } finally {
+        reconcilerRunning = false;
+    }
+
+    return { checked, settled };
+}
+
+// Calling-window helpers
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// North American area codes by time zone (codes not listed here, e.g. ones split across zones, use the batch's time zone)
+const AREA_CODE_TIMEZONES = {
+    'America/New_York': [
+        203, 475, 860, 959, 302, 202, 771, 239, 305, 321, 352, 386, 407, 561, 645, 656, 689, 727, 728, 754,
+        772, 786, 813, 863, 904, 941, 954, 229, 404, 470, 478, 678, 706, 762, 770, 912, 943, 317, 463, 574,
+        765, 812, 930, 502, 606, 859, 207, 227, 240, 301, 410, 443, 667, 339, 351, 413, 508, 617, 774, 781,
+        857, 978, 231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989, 603, 201, 551, 609, 640,
+        732, 848, 856, 862, 908, 973, 212, 315, 329, 332, 347, 363, 516, 518, 585, 607, 624, 631, 646, 680,
+        716, 718, 838, 845, 914, 917, 929, 934, 252, 336, 472, 704, 743, 828, 910, 919, 980, 984, 216, 220,
+        234, 283, 326, 330, 380, 419, 440, 513, 567, 614, 740, 937, 215, 223, 267, 272, 412, 445, 484, 570,
+        582, 610, 717, 724, 814, 835, 878, 401, 803, 821, 839, 843, 854, 864, 423, 865, 802, 276, 434, 540,
+        571, 703, 757, 804, 826, 948, 304, 681
+    ],
+    'America/Toronto': [
+        226, 249, 289, 343, 365, 382, 416, 437, 519, 548, 613, 647, 683, 705, 742, 753, 905, 942,
+        263, 354, 367, 418, 438, 450, 468, 514, 579, 581, 819, 873
+    ],
+    'America/Chicago': [
+        205, 251, 256, 334, 659, 938, 327, 479, 501, 870, 217, 224, 309, 312, 331, 447, 464, 618, 630, 708,
+        773, 779, 815, 847, 872, 219, 319, 515, 563, 641, 712, 316, 620, 785, 913, 270, 364, 225, 318, 337,
+        504, 985, 218, 320, 507, 612, 651, 763, 952, 228, 601, 662, 769, 314, 417, 557, 573, 636, 660, 816,
+        308, 402, 531, 701, 605, 405, 539, 572, 580, 918, 615, 629, 731, 901, 931, 210, 214, 254, 281, 325,
+        346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830, 832, 903, 936, 940, 945, 956,
+        972, 979, 262, 274, 353, 414, 534, 608, 715, 920, 204, 431
+    ],
+    'America/Regina': [306, 639],
+    'America/Denver': [303, 719, 720, 970, 983, 208, 986, 406, 505, 575, 385, 435, 801, 307, 915],
+    'America/Edmonton': [368, 403, 587, 780, 825],
+    'America/Phoenix': [480, 520, 602, 623, 928],
+    'America/Los_Angeles': [
+        209, 213, 279, 310, 323, 341, 350, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650, 657,
+        661, 669, 707, 714, 747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951, 702, 725, 775,
+        458, 503, 541, 971, 206, 253, 360, 425, 509, 564
+    ],
+    'America/Vancouver': [236, 250, 604, 672, 778],
+    'America/Anchorage': [907],
+    'Pacific/Honolulu': [808],
+    'America/Puerto_Rico': [787, 939],
+    'America/Halifax': [506, 782, 902],
+    'America/St_Johns': [709]
+};
+
+const AREA_CODE_LOOKUP = Object.entries(AREA_CODE_TIMEZONES).reduce((lookup, [timeZone, codes]) => {
+    codes.forEach(code => { lookup[code] = timeZone; });
+    return lookup;
+}, {});
+
+// Representative time zone per country calling code
+const COUNTRY_CODE_TIMEZONES = {
+    '44': 'Europe/London',
+    '353': 'Europe/Dublin',
+    '33': 'Europe/Paris',
+    '49': 'Europe/Berlin',
+    '34': 'Europe/Madrid',
+    '39': 'Europe/Rome',
+    '31': 'Europe/Amsterdam',
+    '32': 'Europe/Brussels',
+    '41': 'Europe/Zurich',
+    '45': 'Europe/Copenhagen',
+    '46': 'Europe/Stockholm',
+    '47': 'Europe/Oslo',
+    '27': 'Africa/Johannesburg',
+    '234': 'Africa/Lagos',
+    '971': 'Asia/Dubai',
+    '91': 'Asia/Kolkata',
+    '65': 'Asia/Singapore',
+    '63': 'Asia/Manila',
+    '81': 'Asia/Tokyo',
+    '61': 'Australia/Sydney',
+    '64': 'Pacific/Auckland',
+    '52': 'America/Mexico_City',
+    '55': 'America/Sao_Paulo'
+};
+
+function isValidTimezone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Infer a phone number's time zone from its country or area code
+function inferTimezone(phoneNumber) {
+    const digits = (phoneNumber || '').replace(/\D/g, '');
+    const international = (phoneNumber || '').trim().startsWith('+');
+
+    // North American Numbering Plan
+    if ((!international && digits.length === 10) || (digits.length === 11 && digits.startsWith('1'))) {
+        const areaCode = parseInt(digits.length === 11 ? digits.substr(1, 3) : digits.substr(0, 3), 10);
+        return AREA_CODE_LOOKUP[areaCode] || null;
+    }
+
+    if (international) {
+        for (const length of [3, 2, 1]) {
+            const timeZone = COUNTRY_CODE_TIMEZONES[digits.substr(0, length)];
+            if (timeZone) return timeZone;
+        }
+    }
+
+    return null;
+}
+
+// Wall-clock parts of a date in a time zone
+function getLocalParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(date);
+    const get = type => parts.find(part => part.type === type).value;
+
+    return {
+        year: parseInt(get('year'), 10),
+        month: parseInt(get('month'), 10),
+        day: parseInt(get('day'), 10),
+        hour: parseInt(get('hour'), 10) % 24,
+        minute: parseInt(get('minute'), 10),
+        weekday: get('weekday').toLowerCase()
+    };
+}
+
+// Convert a wall-clock time in a time zone to a UTC Date
+function zonedTimeToUtc(year, month, day, minutesOfDay, timeZone) {
+    const target = Date.UTC(year, month - 1, day, 0, minutesOfDay);
+    let utc = target;
+
+    // Two passes settle the offset, including across DST changes
+    for (let i = 0; i < 2; i++) {
+        const local = getLocalParts(new Date(utc), timeZone);
+        const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+        utc = target - (localAsUtc - utc);
+    }
+
+    return new Date(utc);
+}
+
+// Parse "HH:MM" into minutes since midnight
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec((value || '').trim());
+    if (!match) return null;
+    const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    return minutes <= 24 * 60 ? minutes : null;
+}
+
+// Parse "mon,tue,..." into a set of weekdays (all days if empty)
+function parseAllowedDays(value) {
+    const days = (value || '')
+        .split(',')
+        .map(day => day.trim().toLowerCase().substr(0, 3))
+        .filter(day => WEEKDAYS.includes(day));
+    return new Set(days.length > 0 ? days : WEEKDAYS);
+}
+
+// Validate and normalize the schedule fields of a batch request
+function parseBatchSchedule(input) {
+    const schedule = {
+        start_at: null,
+        window_start: null,
+        window_end: null,
+        allowed_days: null,
+        timezone: null
+    };
+
+    if (input.startAt) {
+        const startAt = new Date(input.startAt);
+        if (isNaN(startAt.getTime())) {
+            throw new Error('Invalid start time');
+        }
+        schedule.start_at = startAt.toISOString();
+    }
+
+    if (input.windowStart || input.windowEnd) {
+        const start = parseTimeOfDay(input.windowStart || '00:00');
+        const end = parseTimeOfDay(input.windowEnd || '24:00');
+        if (start === null || end === null || start >= end) {
+            throw new Error('Calling window must be HH:MM-HH:MM with the start before the end');
+        }
+        schedule.window_start = input.windowStart || '00:00';
+        schedule.window_end = input.windowEnd || '24:00';
+    }
+
+    if (input.allowedDays) {
+        const days = Array.isArray(input.allowedDays) ? input.allowedDays.join(',') : input.allowedDays;
+        schedule.allowed_days = WEEKDAYS.filter(day => parseAllowedDays(days).has(day)).join(',');
+    }
+
+    if (input.timezone) {
+        if (!isValidTimezone(input.timezone)) {
+            throw new Error(`Unknown time zone: ${input.timezone}`);
+        }
+        schedule.timezone = input.timezone;
+    }
+
+    return schedule;
+}
+
+function parseRetryOutcomes(value) {
+    if (!value) return RETRYABLE_CALL_OUTCOMES;
+    return String(value).split(',').map(outcome => outcome.trim()).filter(Boolean);
+}
+
+// Validate and normalize the retry policy fields of a batch request
+function parseBatchRetryPolicy(input) {
+    const policy = {
+        max_attempts: clampNumber(input.maxAttempts, 1, BATCH_MAX_ATTEMPTS, BATCH_DEFAULT_MAX_ATTEMPTS),
+        retry_delay_minutes: clampNumber(input.retryDelayMinutes, 1, BATCH_MAX_RETRY_DELAY_MINUTES, BATCH_DEFAULT_RETRY_DELAY_MINUTES),
+        retry_outcomes: RETRYABLE_CALL_OUTCOMES.join(',')
+    };
+
+    if (input.retryOutcomes) {
+        const outcomes = parseRetryOutcomes(Array.isArray(input.retryOutcomes) ? input.retryOutcomes.join(',') : input.retryOutcomes);
+        const unknown = outcomes.filter(outcome => !RETRYABLE_CALL_OUTCOMES.includes(outcome));
+        if (unknown.length > 0) {
+            throw new Error(`Retry outcomes must be ${RETRYABLE_CALL_OUTCOMES.join(', ')} (got ${unknown.join(', ')})`);
+        }
+        policy.retry_outcomes = RETRYABLE_CALL_OUTCOMES.filter(outcome => outcomes.includes(outcome)).join(',');
+    }
+
+    return policy;
+}
+
+// Time zone used for a batch call: CSV column, then phone number, then batch default
+function getBatchCallTimezone(batchCall, batch) {
+    if (isValidTimezone(batchCall.timezone)) return batchCall.timezone;
+    return inferTimezone(batchCall.phone_number) || batch.timezone || DEFAULT_TIMEZONE;
+}
+
+// Earliest time at or after `from` that falls inside the batch's calling window
+function getNextCallingTime(batch, timeZone, from = new Date()) {
+    const earliest = batch.start_at && new Date(batch.start_at) > from ? new Date(batch.start_at) : from;
+    const windowStart = parseTimeOfDay(batch.window_start) ?? 0;
+    const windowEnd = parseTimeOfDay(batch.window_end) ?? 24 * 60;
+    const allowedDays = parseAllowedDays(batch.allowed_days);
+
+    const local = getLocalParts(earliest, timeZone);
+    const localMinutes = local.hour * 60 + local.minute;
+
+    if (allowedDays.has(local.weekday) && localMinutes >= windowStart && localMinutes < windowEnd) {
+        return earliest;
+    }
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+        if (!allowedDays.has(WEEKDAYS[day.getUTCDay()])) continue;
+        if (offset === 0 && localMinutes >= windowStart) continue;
+
+        return zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), windowStart, timeZone);
+    }
+
+    return null;
+}
+
+// Get batch progress
+async function getBatchProgress(batchId) {
+    const result = await pool.query(`
+        SELECT batches.*,
+            (SELECT COUNT(*)::int FROM batch_calls WHERE batch_id = batches.id AND status = 'placed') AS awaiting_outcome
+        FROM batches WHERE id = $1
+    `, [batchId]);
+    return result.rows[0];
+}
+
+// Validate a phone number and format it as E.164 (throws with a user-facing message)
+function normalizePhoneNumber(phoneNumber) {
+    const phoneRegex = /^[\+]?[1-9][\d\s\-\(\)\.]{7,15}$/;
+    const cleanedPhone = String(phoneNumber || '').trim().replace(/[\s\-\(\)\.]/g, '');
+    
+    if (!phoneRegex.test(cleanedPhone)) {
+        throw new Error('Invalid phone number format');
+    }
+
+    if (cleanedPhone.startsWith('+')) {
+        return cleanedPhone;
+    }
+    if (cleanedPhone.length === 10) {
+        return '+1' + cleanedPhone;
+    }
+    if (cleanedPhone.length === 11 && cleanedPhone.startsWith('1')) {
+        return '+' + cleanedPhone;
+    }
+    throw new Error('Please include country code (e.g., +1 for US numbers)');
+}
+
+// Normalize a phone number, returning null instead of throwing
+function tryNormalizePhoneNumber(phoneNumber) {
+    try {
+        return normalizePhoneNumber(phoneNumber);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Look up a number on a workspace's do-not-call list
+async function getDoNotCallEntry(workspaceId, phoneNumber) {
+    const normalized = tryNormalizePhoneNumber(phoneNumber);
+    if (!normalized) return null;
+
+    const result = await pool.query(
+        'SELECT * FROM dnc_numbers WHERE workspace_id = $1 AND phone_number = $2',
+        [workspaceId, normalized]
+    );
+    return result.rows[0] || null;
+}
+
+// Add a number to a workspace's do-not-call list; returns the entry or null if the number is invalid
+async function addDoNotCallNumber(workspaceId, phoneNumber, reason, source) {
+    const normalized = tryNormalizePhoneNumber(phoneNumber);
+    if (!normalized) return null;
+
+    const result = await pool.query(`
+        INSERT INTO dnc_numbers (workspace_id, phone_number, reason, source)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (workspace_id, phone_number) DO UPDATE SET reason = COALESCE(EXCLUDED.reason, dnc_numbers.reason)
+        RETURNING *
+    `, [workspaceId, normalized, reason || null, source]);
+    return result.rows[0];
+}
+
+// Find or create the workspace's contact for a number; name and company are only filled in where still empty.
+// Returns null if the number is invalid.
+async function upsertContact(workspaceId, phoneNumber, { name = null, company = null } = {}) {
+    const normalized = tryNormalizePhoneNumber(phoneNumber);
+    if (!normalized) return null;
+
+    const result = await pool.query(`
+        INSERT INTO contacts (workspace_id, phone_number, name, company)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (workspace_id, phone_number) DO UPDATE
+        SET name = COALESCE(contacts.name, EXCLUDED.name),
+            company = COALESCE(contacts.company, EXCLUDED.company)
+        RETURNING *
+    `, [workspaceId, normalized, name || null, company || null]);
+    return result.rows[0];
+}
+
+// Validate the body of a contact update; throws with a user-facing message
+function parseContactInput(body) {
+    const text = (value, max) => {
+        const trimmed = String(value ?? '').trim();
+        return trimmed ? trimmed.substr(0, max) : null;
+    };
+    const tags = (Array.isArray(body.tags) ? body.tags : String(body.tags || '').split(','))
+        .map(tag => String(tag).trim().toLowerCase())
+        .filter(Boolean);
+
+    if (tags.some(tag => tag.length > 50)) {
+        throw new Error('Tags must be 50 characters or less');
+    }
+
+    return {
+        name: text(body.name, 255),
+        company: text(body.company, 255),
+        tags: [...new Set(tags)],
+        notes: text(body.notes, 10000)
+    };
+}
+
+// Transcript tagging: rules match the caller's side of the conversation
+const TAG_MATCH_TYPES = ['keyword', 'regex'];
+const TAG_PATTERN_MAX_LENGTH = 500;
+// Time budget for one regex rule against one transcript; rules that exceed it are skipped until the server restarts
+const TAG_REGEX_TIMEOUT_MS = 50;
+const tagRegexContext = vm.createContext({});
+const slowTagRules = new Set();
+const NEGATIVE_SENTIMENT_TAG = 'negative-sentiment';
+
+// Starter rules for complaints and cancellations; competitor names differ per business
+const DEFAULT_TAG_RULES = [
+    { tag: 'complaint', pattern: 'complaint, complain, unacceptable, terrible, awful, ridiculous, worst, speak to a manager, refund' },
+    { tag: 'cancellation', pattern: 'cancel, cancellation, cancelling, canceling, unsubscribe, terminate, close my account' }
+];
+
+// Small offline sentiment lexicon (word => weight from -3 to 3)
+const SENTIMENT_LEXICON = {
+    great: 3, excellent: 3, amazing: 3, fantastic: 3, perfect: 3, love: 3, wonderful: 3,
+    good: 2, happy: 2, helpful: 2, thanks: 2, thank: 2, appreciate: 2, glad: 2, pleased: 2, interested: 2, awesome: 3,
+    nice: 1, fine: 1, ok: 1, okay: 1, sure: 1, yes: 1, easy: 1, quick: 1,
+    bad: -2, poor: -2, unhappy: -2, annoyed: -2, frustrated: -2, frustrating: -2, problem: -1, issue: -1, wrong: -2,
+    broken: -2, late: -1, slow: -1, confused: -1, confusing: -1, expensive: -1, waste: -2, wasted: -2, never: -1,
+    angry: -3, terrible: -3, awful: -3, horrible: -3, worst: -3, hate: -3, ridiculous: -3, unacceptable: -3,
+    scam: -3, useless: -3, disappointed: -2, disappointing: -2, complaint: -2, complain: -2, cancel: -1, refund: -1
+};
+const SENTIMENT_NEGATORS = ['not', 'no', "don't", 'dont', "didn't", 'didnt', "isn't", 'isnt', "wasn't", 'wasnt', 'never', "can't", 'cant'];
+const SENTIMENT_THRESHOLD = 0.25;
+
+async function seedDefaultTagRules(workspace) {
+    for (const rule of DEFAULT_TAG_RULES) {
+        await pool.query(
+            'INSERT INTO tag_rules (workspace_id, tag, match_type, pattern) VALUES ($1, $2, $3, $4)',
+            [workspace.id, rule.tag, 'keyword', rule.pattern]
+        );
+    }
+    console.log(`🏷️ Created default tag rules for ${workspace.slug}`);
+}
+
+// Reject a quantified group that contains a quantifier itself, e.g. (a+)+, since it can backtrack exponentially
+function assertSafeRegex(pattern) {
+    const groups = [];
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            const hasQuantifier = groups.pop();
+            if (hasQuantifier && /[*+{]/.test(pattern[i + 1] || '')) {
+                throw new Error('Nested quantifiers such as (a+)+ are not allowed');
+            }
+            if (hasQuantifier && groups.length > 0) groups[groups.length - 1] = true;
+        } else if ('*+{'.includes(char) && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+}
+
+// Keyword rules are comma-separated words or phrases matched as whole words, case-insensitively
+function compileTagRule(rule) {
+    if (rule.match_type === 'regex') {
+        assertSafeRegex(rule.pattern);
+        return new RegExp(rule.pattern, 'i');
+    }
+    const keywords = rule.pattern.split(',').map(keyword => keyword.trim()).filter(Boolean);
+    if (keywords.length === 0) {
+        throw new Error('At least one keyword is required');
+    }
+    const escaped = keywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+    return new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'i');
+}
+
+// Validate the body of a new tag rule; throws with a user-facing message
+function parseTagRuleInput(body) {
+    const tag = String(body.tag ?? '').trim().toLowerCase().replace(/\s+/g, '-');
+    if (!/^[a-z0-9][a-z0-9_-]{0,49}$/.test(tag)) {
+        throw new Error('Tag must be 1-50 letters, numbers, dashes or underscores');
+    }
+
+    const matchType = body.matchType || 'keyword';
+    if (!TAG_MATCH_TYPES.includes(matchType)) {
+        throw new Error(`Match type must be one of: ${TAG_MATCH_TYPES.join(', ')}`);
+    }
+
+    const pattern = String(body.pattern ?? '').trim();
+    if (!pattern) {
+        throw new Error('Pattern is required');
+    }
+    if (pattern.length > TAG_PATTERN_MAX_LENGTH) {
+        throw new Error(`Pattern must be ${TAG_PATTERN_MAX_LENGTH} characters or less`);
+    }
+
+    // Throws for an invalid regular expression or an empty keyword list
+    compileTagRule({ match_type: matchType, pattern });
+
+    return { tag, matchType, pattern };
+}
+
+// Lexicon score squashed into -1..1; a negator just before a word flips it
+function scoreSentiment(text) {
+    const words = text.toLowerCase().replace(/[’‘]/g, "'").match(/[a-z']+/g) || [];
+    let sum = 0;
+    words.forEach((word, index) => {
+        const weight = SENTIMENT_LEXICON[word];
+        if (!weight) return;
+        const negated = SENTIMENT_NEGATORS.includes(words[index - 1]) || SENTIMENT_NEGATORS.includes(words[index - 2]);
+        sum += negated ? -weight : weight;
+    });
+
+    const score = sum / Math.sqrt(sum * sum + 15);
+    const sentiment = score >= SENTIMENT_THRESHOLD ? 'positive' : score <= -SENTIMENT_THRESHOLD ? 'negative' : 'neutral';
+    return { score: Math.round(score * 1000) / 1000, sentiment };
+}
+
+// Regex rules are admin-supplied, so they run with a time budget instead of blocking every workspace
+function testTagRule(rule, regex, text) {
+    if (rule.match_type !== 'regex') {
+        return regex.test(text);
+    }
+    tagRegexContext.regex = regex;
+    tagRegexContext.text = text;
+    return vm.runInContext('regex.test(text)', tagRegexContext, { timeout: TAG_REGEX_TIMEOUT_MS });
+}
+
+// Tags and sentiment for a transcript's turns ({ role, message }), using the caller's side only
+function analyzeTranscript(turns, rules) {
+    const callerText = (turns || [])
+        .filter(turn => turn.role !== 'agent' && turn.message)
+        .map(turn => turn.message)
+        .join('\n');
+
+    const tags = new Set();
+    for (const rule of rules) {
+        if (slowTagRules.has(rule.id)) continue;
+        try {
+            if (testTagRule(rule, compileTagRule(rule), callerText)) {
+                tags.add(rule.tag);
+            }
+        } catch (error) {
+            if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+                slowTagRules.add(rule.id);
+                console.error(`Tag rule ${rule.id} took over ${TAG_REGEX_TIMEOUT_MS}ms and is disabled until restart`);
+            } else {
+                console.error(`Tag rule ${rule.id} is invalid:`, error.message);
+            }
+        }
+    }
+
+    const { score, sentiment } = scoreSentiment(callerText);
+    if (sentiment === 'negative') {
+        tags.add(NEGATIVE_SENTIMENT_TAG);
+    }
+
+    return { tags: [...tags].sort(), sentiment, score };
+}
+
+// Tag a stored call, broadcast the result and alert users watching any newly added tag
+// (retagging old calls with { quiet: true } only stores the result)
+async function tagCall(workspaceId, callId, turns, { quiet = false } = {}) {
+    const rules = await pool.query('SELECT * FROM tag_rules WHERE workspace_id = $1', [workspaceId]);
+    const { tags, sentiment, score } = analyzeTranscript(turns, rules.rows);
+
+    const previous = await pool.query('SELECT tags FROM calls WHERE id = $1', [callId]);
+    const updated = await pool.query(`
+        UPDATE calls SET tags = $2, sentiment = $3, sentiment_score = $4
+        WHERE id = $1
+        RETURNING *, (SELECT name FROM contacts WHERE contacts.id = calls.contact_id) AS contact_name
+    `, [callId, tags, sentiment, score]);
+    const call = withoutRawPayload(updated.rows[0]);
+    if (quiet) {
+        return call;
+    }
+    broadcastEvent(workspaceId, 'updateCall', call);
+
+    const newTags = tags.filter(tag => !(previous.rows[0]?.tags || []).includes(tag));
+    if (newTags.length > 0) {
+        const alerts = await pool.query(
+            'SELECT user_id, tag FROM tag_alerts WHERE workspace_id = $1 AND tag = ANY($2)',
+            [workspaceId, newTags]
+        );
+        for (const alert of alerts.rows) {
+            io.to(getUserRoom(alert.user_id)).emit('tagAlert', { tag: alert.tag, call });
+        }
+        console.log(`🏷️ Call ${callId} tagged ${newTags.join(', ')}`);
+    }
+
+    return call;
+}
+
+// Phrases in a caller's turn that opt the number out of future calls
+const OPT_OUT_PHRASES = [
+    'stop calling me',
+    'stop calling this number',
+    'do not call me',
+    "don't call me",
+    'dont call me',
+    'never call me again',
+    'remove me from your list',
+    'remove me from your call list',
+    'take me off your list',
+    'take me off your call list',
+    'put me on your do not call list',
+    'add me to your do not call list'
+];
+
+// Return the first opt-out phrase said by the caller, if any
+function findOptOutPhrase(transcriptTurns) {
+    for (const turn of transcriptTurns || []) {
+        if (turn.role === 'agent' || !turn.message) continue;
+        const message = turn.message.toLowerCase().replace(/[’‘]/g, "'");
+        const phrase = OPT_OUT_PHRASES.find(p => message.includes(p));
+        if (phrase) return phrase;
+    }
+    return null;
+}
+
+// Escape a value for a CSV cell
+function csvEscape(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Pick the delimiter that appears most often (outside quotes) in the first line
+function detectCsvDelimiter(text) {
+    const candidates = [',', ';', '\t', '|'];
+    const counts = Object.fromEntries(candidates.map(d => [d, 0]));
+    let inQuotes = false;
+
+    for (const char of text) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && (char === '\n' || char === '\r')) break;
+        else if (!inQuotes && char in counts) counts[char]++;
+    }
+
+    return candidates.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+}
+
+// Split CSV text into rows of trimmed fields (quoted fields, escaped quotes, CRLF and BOM aware)
+function parseCsvRows(csvContent) {
+    const text = csvContent.replace(/^\uFEFF/, '');
+    const delimiter = detectCsvDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            inQuotes = true;
+            field = '';
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows
+        .map(r => r.map(f => f.trim()))
+        .filter(r => r.some(f => f !== ''));
+}
+
+// Turn a column header into a dynamic variable name ("First Name" -> "first_name")
+function toVariableName(header) {
+    return header
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+// Guess which columns hold the phone, name, company and time zone
+function detectColumnMapping(headers) {
+    const find = pattern => headers.find(h => pattern.test(h.toLowerCase())) || null;
+
+    return {
+        phone: find(/phone|mobile|cell|^tel|number/),
+        name: find(/^(full[ _]?)?name$|^contact([ _]?name)?$|^first[ _]?name$/),
+        company: find(/company|business|organi[sz]ation|account/),
+        timezone: find(/^(timezone|time[ _]zone|tz)$/)
+    };
+}
+
+// Parse a contacts CSV into deduplicated E.164 contacts with per-call dynamic variables
+function parseCSV(csvContent, columnMapping = {}) {
+    const rows = parseCsvRows(csvContent);
+    if (rows.length === 0) {
+        return { headers: [], mapping: {}, contacts: [], invalid: [], duplicates: 0, totalRows: 0 };
+    }
+
+    // Treat the first row as a header unless one of its cells is a phone number
+    const hasHeader = !rows[0].some(cell => tryNormalizePhoneNumber(cell));
+    const columnCount = rows.reduce((max, r) => Math.max(max, r.length), 0);
+    const headers = hasHeader
+        ? rows[0].map((h, i) => h || `column_${i + 1}`)
+        : Array.from({ length: columnCount }, (_, i) => `column_${i + 1}`);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    const detected = detectColumnMapping(headers);
+    if (!hasHeader) {
+        const phoneIndex = rows[0].findIndex(cell => tryNormalizePhoneNumber(cell));
+        detected.phone = headers[phoneIndex];
+    }
+
+    const mapping = {
+        phone: columnMapping.phone || detected.phone || headers[0],
+        name: columnMapping.name !== undefined ? columnMapping.name : detected.name,
+        company: columnMapping.company !== undefined ? columnMapping.company : detected.company,
+        timezone: columnMapping.timezone !== undefined ? columnMapping.timezone : detected.timezone
+    };
+    const mappedColumns = [mapping.phone, mapping.name, mapping.company, mapping.timezone];
+    mapping.custom = Array.isArray(columnMapping.custom)
+        ? columnMapping.custom.filter(h => headers.includes(h) && !mappedColumns.includes(h))
+        : headers.filter(h => !mappedColumns.includes(h));
+
+    const indexOf = header => (header ? headers.indexOf(header) : -1);
+    const phoneIndex = indexOf(mapping.phone);
+    const nameIndex = indexOf(mapping.name);
+    const companyIndex = indexOf(mapping.company);
+    const timezoneIndex = indexOf(mapping.timezone);
+
+    const contacts = [];
+    const invalid = [];
+    const seen = new Set();
+    let duplicates = 0;
+
+    dataRows.forEach((row, index) => {
+        const rawPhone = row[phoneIndex] || '';
+        const phoneNumber = tryNormalizePhoneNumber(rawPhone);
+        if (!phoneNumber) {
+            invalid.push({ row: index + (hasHeader ? 2 : 1), value: rawPhone });
+            return;
+        }
+        if (seen.has(phoneNumber)) {
+            duplicates++;
+            return;
+        }
+        seen.add(phoneNumber);
+
+        const name = nameIndex >= 0 ? row[nameIndex] || null : null;
+        const company = companyIndex >= 0 ? row[companyIndex] || null : null;
+        const timezone = timezoneIndex >= 0 && isValidTimezone(row[timezoneIndex]) ? row[timezoneIndex] : null;
+
+        const dynamicVariables = {};
+        mapping.custom.forEach(header => {
+            const value = row[headers.indexOf(header)];
+            const key = toVariableName(header);
+            if (key && value) dynamicVariables[key] = value;
+        });
+        if (name) {
+            dynamicVariables.name = name;
+            dynamicVariables.first_name = dynamicVariables.first_name || name.split(/\s+/)[0];
+        }
+        if (company) dynamicVariables.company = company;
+
+        contacts.push({ phoneNumber, name, company, timezone, dynamicVariables });
+    });
+
+    return { headers, mapping, contacts, invalid, duplicates, totalRows: dataRows.length };
+}
+
+// Read the optional columnMapping JSON sent with a CSV upload
+function parseColumnMapping(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Serve the main HTML page
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Authentication and role-based access
+const SESSION_COOKIE = 'skyiq_session';
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7;
+const ROLE_LEVELS = { viewer: 1, caller: 2, admin: 3 };
+// First-run setup from the dashboard is only allowed with this token, so an empty users table can't be claimed by anyone
+const SETUP_TOKEN = process.env.SETUP_TOKEN;
+const scryptAsync = util.promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function matchesSetupToken(token) {
+    if (!SETUP_TOKEN || typeof token !== 'string' || !token) return false;
+    const expected = crypto.createHash('sha256').update(SETUP_TOKEN).digest();
+    const actual = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function parseCookies(cookieHeader) {
+    return (cookieHeader || '').split(';').reduce((cookies, part) => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+        return cookies;
+    }, {});
+}
+
+// Session token from the cookie, a bearer header or the socket.io auth payload
+function getSessionToken(headers, authPayload) {
+    const authorization = headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim();
+    }
+    return authPayload?.token || parseCookies(headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// Public fields of a user row
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        workspace_id: user.workspace_id,
+        is_platform_admin: !!user.is_platform_admin
+    };
+}
+
+async function createSession(userId, userAgent) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await pool.query(`
+        INSERT INTO sessions (token_hash, user_id, user_agent, expires_at)
+        VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))
+    `, [hashSessionToken(token), userId, userAgent || null, SESSION_TTL_HOURS]);
+    return token;
+}
+
+async function getUserForToken(token) {
+    if (!token) return null;
+
+    const result = await pool.query(`
+        SELECT users.* FROM sessions
+        JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token_hash = $1 AND sessions.expires_at > NOW()
+    `, [hashSessionToken(token)]);
+    return result.rows[0] ? toPublicUser(result.rows[0]) : null;
+}
+
+function setSessionCookie(res, token) {
+    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+    res.setHeader('Set-Cookie',
+        `${SESSION_COOKIE}=${encodeURIComponent(token)}; HttpOnly; Path=/; SameSite=Lax; Max-Age=${SESSION_TTL_HOURS * 3600}${secure}`);
+}
+
+function clearSessionCookie(res) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; HttpOnly; Path=/; SameSite=Lax; Max-Age=0`);
+}
+
+// Reject requests without a valid session; loads the user's workspace into req.workspace
+async function requireAuth(req, res, next) {
+    try {
+        req.user = await getUserForToken(getSessionToken(req.headers));
+        req.workspace = req.user ? await getWorkspace(req.user.workspace_id) : null;
+    } catch (error) {
+        console.error('Session lookup error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!req.user || !req.workspace) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+}
+
+// Reject requests from users below the given role (viewer < caller < admin)
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user || (ROLE_LEVELS[req.user.role] || 0) < ROLE_LEVELS[role]) {
+            return res.status(403).json({ error: `This action requires the ${role} role` });
+        }
+        next();
+    };
+}
+
+// Reject requests from users who can't manage workspaces
+function requirePlatformAdmin(req, res, next) {
+    if (!req.user?.is_platform_admin) {
+        return res.status(403).json({ error: 'This action requires a platform admin' });
+    }
+    next();
+}
+
+// Create the first admin (a platform admin in the default workspace) from ADMIN_EMAIL/ADMIN_PASSWORD if there are no users yet
+async function bootstrapAdminUser() {
+    try {
+        const users = await pool.query('SELECT COUNT(*) FROM users');
+        if (parseInt(users.rows[0].count, 10) > 0) return;
+
+        if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+            console.log(SETUP_TOKEN
+                ? '⚠️  No users yet: create the first admin from the dashboard with SETUP_TOKEN'
+                : '⚠️  No users yet: set ADMIN_EMAIL and ADMIN_PASSWORD, or SETUP_TOKEN to create the first admin from the dashboard');
+            return;
+        }
+
+        const workspace = await getDefaultWorkspace();
+        await pool.query(`
+            INSERT INTO users (email, name, password_hash, role, workspace_id, is_platform_admin)
+            VALUES ($1, $2, $3, 'admin', $4, true)
+        `, [process.env.ADMIN_EMAIL.toLowerCase(), process.env.ADMIN_NAME || 'Admin', await hashPassword(process.env.ADMIN_PASSWORD), workspace.id]);
+        console.log(`👤 Created admin user ${process.env.ADMIN_EMAIL}`);
+    } catch (error) {
+        console.error('Admin bootstrap error:', error);
+    }
+}
+
+// Check a new or updated user's fields; returns an error message or null
+function validateUserInput({ email, password, role }, { requirePassword }) {
+    if (email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return 'A valid email is required';
+    }
+    if ((requirePassword || password !== undefined) && (!password || password.length < 8)) {
+        return 'Password must be at least 8 characters';
+    }
+    if (role !== undefined && !ROLE_LEVELS[role]) {
+        return 'Role must be viewer, caller or admin';
+    }
+    return null;
+}
+
+// API endpoint to tell the login screen whether first-run setup is needed and which branding to show
+// (?workspace=<slug> picks a workspace, otherwise the default one is shown)
+app.get('/api/auth/status', async (req, res) => {
+    try {
+        const users = await pool.query('SELECT COUNT(*) FROM users');
+        const workspace = (req.query.workspace && await getWorkspaceBySlug(String(req.query.workspace)))
+            || await getDefaultWorkspace();
+        res.json({
+            setupRequired: parseInt(users.rows[0].count, 10) === 0,
+            setupEnabled: Boolean(SETUP_TOKEN),
+            workspace: toWorkspaceBranding(workspace)
+        });
+    } catch (error) {
+        console.error('Auth status error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to create the first admin user, a platform admin in the default workspace
+// (only while no users exist, and only with the SETUP_TOKEN from the server's environment)
+app.post('/api/auth/setup', async (req, res) => {
+    const { email, name, password, setupToken } = req.body;
+
+    if (!SETUP_TOKEN) {
+        return res.status(403).json({ error: 'Dashboard setup is disabled: set ADMIN_EMAIL and ADMIN_PASSWORD, or SETUP_TOKEN, on the server' });
+    }
+    if (!matchesSetupToken(setupToken)) {
+        return res.status(403).json({ error: 'Invalid setup token' });
+    }
+
+    const validationError = validateUserInput({ email, password }, { requirePassword: true });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const workspace = await getDefaultWorkspace();
+        const result = await pool.query(`
+            INSERT INTO users (email, name, password_hash, role, workspace_id, is_platform_admin)
+            SELECT $1, $2, $3, 'admin', $4, true
+            WHERE NOT EXISTS (SELECT 1 FROM users)
+            RETURNING *
+        `, [email.toLowerCase(), name || email, await hashPassword(password), workspace.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(403).json({ error: 'Setup has already been completed' });
+        }
+
+        const token = await createSession(result.rows[0].id, req.get('user-agent'));
+        setSessionCookie(res, token);
+        res.json({ success: true, user: toPublicUser(result.rows[0]), workspace: toWorkspaceBranding(workspace), token });
+    } catch (error) {
+        console.error('Auth setup error:', error);
+        res.status(500).json({ error: 'Failed to create admin user' });
+    }
+});
+
+// API endpoint to log in with email and password
+app.post('/api/auth/login', async (req, res) => {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+        return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    try {
+        const result = await pool.query('SELECT * FROM users WHERE email = $1', [email.toLowerCase()]);
+        const user = result.rows[0];
+
+        if (!user || !(await verifyPassword(password, user.password_hash))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+        const token = await createSession(user.id, req.get('user-agent'));
+        setSessionCookie(res, token);
+
+        res.json({ success: true, user: toPublicUser(user), workspace: toWorkspaceBranding(await getWorkspace(user.workspace_id)), token });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// API endpoint to end the current session
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const token = getSessionToken(req.headers);
+        if (token) {
+            await pool.query('DELETE FROM sessions WHERE token_hash = $1', [hashSessionToken(token)]);
+        }
+        clearSessionCookie(res);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// Every other /api route requires a signed-in user
+app.use('/api', requireAuth);
+
+// API endpoint to get the signed-in user and their workspace's branding
+app.get('/api/auth/me', (req, res) => {
+    res.json({ user: req.user, workspace: toWorkspaceBranding(req.workspace) });
+});
+
+// API endpoint to get the workspace's branding, plus its settings for admins
+app.get('/api/workspace', (req, res) => {
+    const isAdmin = ROLE_LEVELS[req.user.role] >= ROLE_LEVELS.admin;
+    res.json({
+        workspace: toWorkspaceBranding(req.workspace),
+        settings: isAdmin ? toWorkspaceSettings(req.workspace) : undefined
+    });
+});
+
+// API endpoint to update the workspace's branding, credentials and email settings
+app.put('/api/workspace', requireRole('admin'), async (req, res) => {
+    let values;
+    try {
+        values = parseWorkspaceInput(req.body || {});
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const columns = Object.keys(values);
+    if (columns.length === 0) {
+        return res.status(400).json({ error: 'No settings to update' });
+    }
+
+    try {
+        const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+        const result = await pool.query(`
+            UPDATE workspaces SET ${assignments.join(', ')}, updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [req.workspace.id, ...columns.map(column => values[column])]);
+
+        workspaceCache.set(req.workspace.id, result.rows[0]);
+        broadcastEvent(req.workspace.id, 'workspaceUpdated', toWorkspaceBranding(result.rows[0]));
+
+        res.json({ success: true, workspace: toWorkspaceBranding(result.rows[0]), settings: toWorkspaceSettings(result.rows[0]) });
+    } catch (error) {
+        console.error('Workspace update error:', error);
+        res.status(500).json({ error: 'Failed to update workspace' });
+    }
+});
+
+// API endpoint to list all workspaces
+app.get('/api/workspaces', requirePlatformAdmin, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT w.id, w.slug, w.name, w.company_name, w.created_at,
+                (SELECT COUNT(*)::int FROM users WHERE workspace_id = w.id) AS users,
+                (SELECT COUNT(*)::int FROM calls WHERE workspace_id = w.id) AS calls
+            FROM workspaces w
+            ORDER BY w.id
+        `);
+        res.json({ workspaces: result.rows });
+    } catch (error) {
+        console.error('Workspaces query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to create a workspace together with its first admin
+app.post('/api/workspaces', requirePlatformAdmin, async (req, res) => {
+    const { adminEmail, adminName, adminPassword } = req.body || {};
+
+    let values;
+    try {
+        values = parseWorkspaceInput(req.body || {}, { requireName: true });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const slug = toWorkspaceSlug(req.body.slug || values.name);
+    if (!slug) {
+        return res.status(400).json({ error: 'Workspace slug must contain letters or digits' });
+    }
+
+    const validationError = validateUserInput({ email: adminEmail, password: adminPassword }, { requirePassword: true });
+    if (validationError || !adminEmail) {
+        return res.status(400).json({ error: validationError || 'A valid email is required' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const columns = Object.keys(values);
+        const workspace = await client.query(`
+            INSERT INTO workspaces (slug, ${columns.join(', ')})
+            VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')})
+            ON CONFLICT (slug) DO NOTHING
+            RETURNING *
+        `, [slug, ...columns.map(column => values[column])]);
+        if (workspace.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'A workspace with this slug already exists' });
+        }
+
+        const admin = await client.query(`
+            INSERT INTO users (email, name, password_hash, role, workspace_id)
+            VALUES ($1, $2, $3, 'admin', $4)
+            ON CONFLICT (email) DO NOTHING
+            RETURNING *
+        `, [adminEmail.toLowerCase(), adminName || adminEmail, await hashPassword(adminPassword), workspace.rows[0].id]);
+        if (admin.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'A user with this email already exists' });
+        }
+
+        await client.query('COMMIT');
+
+        await seedDefaultNotificationRule(workspace.rows[0]);
+        await seedDefaultAgent(workspace.rows[0]);
+        await seedDefaultTagRules(workspace.rows[0]);
+
+        console.log(`🏢 Created workspace ${slug}`);
+        res.json({ success: true, workspace: toWorkspaceBranding(workspace.rows[0]), admin: toPublicUser(admin.rows[0]) });
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('Workspace create error:', error);
+        res.status(500).json({ error: 'Failed to create workspace' });
+    } finally {
+        client.release();
+    }
+});
+
+// API endpoint to list users
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT id, email, name, role, created_at, last_login_at FROM users WHERE workspace_id = $1 ORDER BY created_at',
+            [req.workspace.id]
+        );
+        res.json({ users: result.rows });
+    } catch (error) {
+        console.error('Users query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to list the workspace's users that tasks can be assigned to
+app.get('/api/users/assignees', async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT id, name, email FROM users WHERE workspace_id = $1 ORDER BY COALESCE(name, email)',
+            [req.workspace.id]
+        );
+        res.json({ users: result.rows });
+    } catch (error) {
+        console.error('Assignees query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to create a user
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    const { email, name, password, role = 'viewer' } = req.body;
+
+    const validationError = validateUserInput({ email, password, role }, { requirePassword: true });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const result = await pool.query(`
+            INSERT INTO users (email, name, password_hash, role, workspace_id)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (email) DO NOTHING
+            RETURNING *
+        `, [email.toLowerCase(), name || email, await hashPassword(password), role, req.workspace.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: 'A user with this email already exists' });
+        }
+
+        res.json({ success: true, user: toPublicUser(result.rows[0]) });
+    } catch (error) {
+        console.error('User create error:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// API endpoint to change a user's name, role or password
+app.patch('/api/users/:userId', requireRole('admin'), async (req, res) => {
+    const { name, role, password } = req.body;
+    const userId = parseInt(req.params.userId, 10);
+
+    const validationError = validateUserInput({ role, password }, { requirePassword: false });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    if (userId === req.user.id && role && role !== 'admin') {
+        return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    try {
+        const result = await pool.query(`
+            UPDATE users
+            SET name = COALESCE($2, name),
+                role = COALESCE($3, role),
+                password_hash = COALESCE($4, password_hash)
+            WHERE id = $1 AND workspace_id = $5
+            RETURNING *
+        `, [userId, name || null, role || null, password ? await hashPassword(password) : null, req.workspace.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // A new password or role signs the user out everywhere else
+        if (password || role) {
+            await pool.query('DELETE FROM sessions WHERE user_id = $1 AND token_hash <> $2',
+                [userId, hashSessionToken(getSessionToken(req.headers))]);
+        }
+
+        res.json({ success: true, user: toPublicUser(result.rows[0]) });
+    } catch (error) {
+        console.error('User update error:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// API endpoint to delete a user
+app.delete('/api/users/:userId', requireRole('admin'), async (req, res) => {
+    const userId = parseInt(req.params.userId, 10);
+
+    if (userId === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    try {
+        const result = await pool.query('DELETE FROM users WHERE id = $1 AND workspace_id = $2', [userId, req.workspace.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ success: true, message: 'User deleted' });
+    } catch (error) {
+        console.error('User delete error:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+// API endpoint to list agents (every role needs them to pick who places a call)
+app.get('/api/agents', async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM agents WHERE workspace_id = $1 ORDER BY is_default DESC, name, id',
+            [req.workspace.id]
+        );
+        res.json({ agents: result.rows });
+    } catch (error) {
+        console.error('Agents query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to add an agent
+app.post('/api/agents', requireRole('admin'), async (req, res) => {
+    let agent;
+    try {
+        agent = parseAgentInput(req.body || {});
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        agent.phone_number = agent.phone_number || await lookupAgentPhoneNumber(req.workspace, agent.phone_number_id);
+
+        // The workspace's first agent becomes its default
+        const existing = await pool.query('SELECT COUNT(*)::int AS count FROM agents WHERE workspace_id = $1', [req.workspace.id]);
+        const isDefault = agent.is_default || existing.rows[0].count === 0;
+        if (isDefault) {
+            await pool.query('UPDATE agents SET is_default = false WHERE is_default AND workspace_id = $1', [req.workspace.id]);
+        }
+
+        const result = await pool.query(`
+            INSERT INTO agents (workspace_id, name, elevenlabs_agent_id, phone_number_id, phone_number, is_default)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [req.workspace.id, agent.name, agent.elevenlabs_agent_id, agent.phone_number_id, agent.phone_number, isDefault]);
+
+        res.json({ success: true, agent: result.rows[0] });
+    } catch (error) {
+        console.error('Agent create error:', error);
+        res.status(500).json({ error: 'Failed to create agent' });
+    }
+});
+
+// API endpoint to update an agent
+app.put('/api/agents/:agentId', requireRole('admin'), async (req, res) => {
+    const agentId = parseInt(req.params.agentId, 10);
+
+    let agent;
+    try {
+        agent = parseAgentInput(req.body || {});
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        agent.phone_number = agent.phone_number || await lookupAgentPhoneNumber(req.workspace, agent.phone_number_id);
+
+        const current = await pool.query('SELECT id FROM agents WHERE id = $1 AND workspace_id = $2', [agentId, req.workspace.id]);
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Agent not found' });
+        }
+
+        if (agent.is_default) {
+            await pool.query('UPDATE agents SET is_default = false WHERE is_default AND id <> $1 AND workspace_id = $2', [agentId, req.workspace.id]);
+        }
+
+        // Unsetting the default is done by making another agent the default
+        const result = await pool.query(`
+            UPDATE agents
+            SET name = $2, elevenlabs_agent_id = $3, phone_number_id = $4, phone_number = $5,
+                is_default = is_default OR $6, updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [agentId, agent.name, agent.elevenlabs_agent_id, agent.phone_number_id, agent.phone_number, agent.is_default]);
+
+        res.json({ success: true, agent: result.rows[0] });
+    } catch (error) {
+        console.error('Agent update error:', error);
+        res.status(500).json({ error: 'Failed to update agent' });
+    }
+});
+
+// API endpoint to remove an agent (its calls and batches keep their history without it)
+app.delete('/api/agents/:agentId', requireRole('admin'), async (req, res) => {
+    const agentId = parseInt(req.params.agentId, 10) || 0;
+
+    try {
+        const running = await pool.query(
+            "SELECT id FROM batches WHERE agent_id = $1 AND workspace_id = $2 AND status IN ('queued', 'processing', 'scheduled') LIMIT 1",
+            [agentId, req.workspace.id]
+        );
+        if (running.rows.length > 0) {
+            return res.status(400).json({ error: 'Agent is used by a running or scheduled batch' });
+        }
+
+        const result = await pool.query('DELETE FROM agents WHERE id = $1 AND workspace_id = $2 RETURNING is_default', [agentId, req.workspace.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Agent not found' });
+        }
+
+        // Keep a default agent as long as any agents are left
+        if (result.rows[0].is_default) {
+            await pool.query(
+                'UPDATE agents SET is_default = true WHERE id = (SELECT MIN(id) FROM agents WHERE workspace_id = $1)',
+                [req.workspace.id]
+            );
+        }
+
+        res.json({ success: true, message: 'Agent removed' });
+    } catch (error) {
+        console.error('Agent delete error:', error);
+        res.status(500).json({ error: 'Failed to remove agent' });
+    }
+});
+
+// API endpoint to initiate single outbound call
+app.post('/api/calls/initiate', requireRole('caller'), async (req, res) => {
+    const { phoneNumber, agentId } = req.body;
+    
+    if (!phoneNumber) {
+        return res.status(400).json({ error: 'Phone number is required' });
+    }
+
+    let formattedPhone;
+    try {
+        formattedPhone = normalizePhoneNumber(phoneNumber);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const dncEntry = await getDoNotCallEntry(req.workspace.id, formattedPhone);
+        if (dncEntry) {
+            return res.status(403).json({
+                error: 'This number is on the do-not-call list',
+                reason: dncEntry.reason
+            });
+        }
+
+        const agent = await resolveAgent(req.workspace, agentId);
+        if (agentId && !agent) {
+            return res.status(400).json({ error: 'Agent not found' });
+        }
+
+        const callData = await placeOutboundCall(req.workspace, formattedPhone, agent);
+
+        res.json({ 
+            success: true, 
+            message: 'Call initiated successfully',
+            callId: callData.id,
+            conversationId: callData.conversation_id
+        });
+
+    } catch (error) {
+        console.error('Failed to initiate call:', error);
+        res.status(500).json({ 
+            error: 'Failed to initiate call', 
+            details: error.message 
+        });
+    }
+});
+
+// Dial a single number, record the call and announce it to the workspace's dashboards
+async function placeOutboundCall(workspace, phoneNumber, agent, dynamicVariables = {}) {
+    const callResult = await initiateOutboundCall(workspace, phoneNumber, dynamicVariables, agent);
+    const contact = await upsertContact(workspace.id, phoneNumber);
+
+    const callData = {
+        id: `outbound-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        timestamp: new Date().toISOString(),
+        caller_number: phoneNumber,
+        called_number: agent?.phone_number || 'Agent',
+        duration: 0,
+        status: 'initiated',
+        call_type: 'outbound',
+        transcript: '',
+        conversation_id: callResult.conversation_id,
+        agent_id: agent?.id || null,
+        workspace_id: workspace.id,
+        contact_id: contact?.id || null,
+        contact_name: contact?.name || null
+    };
+
+    await pool.query(`
+        INSERT INTO calls (id, timestamp, caller_number, called_number, duration, status, call_type, transcript, conversation_id, agent_id, workspace_id, contact_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `, [callData.id, callData.timestamp, callData.caller_number, callData.called_number, 
+        callData.duration, callData.status, callData.call_type, callData.transcript, callData.conversation_id, callData.agent_id,
+        callData.workspace_id, callData.contact_id]);
+
+    broadcastEvent(workspace.id, 'newCall', callData);
+    return callData;
+}
+
+// Scheduled calls: single outbound calls placed by processScheduledCalls once they are due
+async function processScheduledCalls() {
+    try {
+        const due = await pool.query(`
+            UPDATE scheduled_calls SET status = 'placing'
+            WHERE id IN (
+                SELECT id FROM scheduled_calls
+                WHERE status = 'pending' AND scheduled_at <= NOW()
+                ORDER BY scheduled_at
+                LIMIT 20
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `);
+
+        for (const scheduledCall of due.rows) {
+            await placeScheduledCall(scheduledCall);
+        }
+    } catch (error) {
+        console.error('Scheduled call error:', error);
+    }
+}
+
+async function placeScheduledCall(scheduledCall) {
+    let status = 'placed';
+    let callId = null;
+    let errorMessage = null;
+
+    try {
+        const workspace = await getWorkspace(scheduledCall.workspace_id);
+
+        // The number may have opted out after the call was scheduled
+        const dncEntry = await getDoNotCallEntry(workspace.id, scheduledCall.phone_number);
+        if (dncEntry) {
+            status = 'skipped';
+            errorMessage = `On do-not-call list${dncEntry.reason ? `: ${dncEntry.reason}` : ''}`;
+        } else {
+            const agent = await resolveAgent(workspace, scheduledCall.agent_id);
+            const callData = await placeOutboundCall(workspace, scheduledCall.phone_number, agent, scheduledCall.dynamic_variables);
+            callId = callData.id;
+            console.log(`📅 Placed scheduled call ${scheduledCall.id} to ${scheduledCall.phone_number}`);
+        }
+    } catch (error) {
+        console.error(`Scheduled call ${scheduledCall.id} failed:`, error.message);
+        status = 'failed';
+        errorMessage = error.message;
+    }
+
+    const result = await pool.query(`
+        UPDATE scheduled_calls SET status = $2, call_id = $3, error_message = $4, completed_at = NOW()
+        WHERE id = $1
+        RETURNING *
+    `, [scheduledCall.id, status, callId, errorMessage]);
+    broadcastEvent(scheduledCall.workspace_id, 'scheduledCallUpdated', result.rows[0]);
+}
+
+// Calls that were being dialed when the server stopped may or may not have gone out,
+// so they are marked failed rather than dialed a second time
+async function recoverScheduledCalls() {
+    try {
+        const interrupted = await pool.query(`
+            UPDATE scheduled_calls
+            SET status = 'failed', error_message = 'Interrupted by a server restart', completed_at = NOW()
+            WHERE status = 'placing'
+        `);
+        if (interrupted.rowCount > 0) {
+            console.log(`🔁 Marked ${interrupted.rowCount} interrupted scheduled call(s) as failed`);
+        }
+
+        await processScheduledCalls();
+    } catch (error) {
+        console.error('Scheduled call recovery error:', error);
+    }
+}
+
+// Validate the body of a new scheduled call; throws with a user-facing message
+function parseScheduledCallInput(body) {
+    if (!body.phoneNumber) {
+        throw new Error('Phone number is required');
+    }
+    const phoneNumber = normalizePhoneNumber(body.phoneNumber);
+
+    const scheduledAt = new Date(body.scheduledAt);
+    if (!body.scheduledAt || isNaN(scheduledAt.getTime())) {
+        throw new Error('Scheduled time must be a valid date');
+    }
+    if (scheduledAt.getTime() < Date.now() - 60 * 1000) {
+        throw new Error('Scheduled time must be in the future');
+    }
+    if (scheduledAt.getTime() > Date.now() + SCHEDULED_CALL_MAX_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`Scheduled time must be within ${SCHEDULED_CALL_MAX_DAYS} days`);
+    }
+
+    let dynamicVariables = body.dynamicVariables || {};
+    if (typeof dynamicVariables === 'string') {
+        try {
+            dynamicVariables = dynamicVariables.trim() ? JSON.parse(dynamicVariables) : {};
+        } catch (error) {
+            throw new Error('Dynamic variables must be valid JSON');
+        }
+    }
+    if (typeof dynamicVariables !== 'object' || Array.isArray(dynamicVariables) || dynamicVariables === null) {
+        throw new Error('Dynamic variables must be an object of name/value pairs');
+    }
+
+    return { phoneNumber, scheduledAt, dynamicVariables };
+}
+
+// API endpoint to list scheduled calls (from/to bound the scheduled time; status filters, e.g. pending)
+app.get('/api/scheduled-calls', async (req, res) => {
+    const conditions = ['scheduled_calls.workspace_id = $1'];
+    const params = [req.workspace.id];
+
+    try {
+        if (req.query.from) {
+            params.push(parseFilterDate(req.query.from, 'from'));
+            conditions.push(`scheduled_calls.scheduled_at >= $${params.length}`);
+        }
+        if (req.query.to) {
+            params.push(parseFilterDate(req.query.to, 'to'));
+            conditions.push(`scheduled_calls.scheduled_at <= $${params.length}`);
+        }
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    if (req.query.status) {
+        params.push(String(req.query.status).split(',').map(status => status.trim()).filter(Boolean));
+        conditions.push(`scheduled_calls.status = ANY($${params.length})`);
+    }
+
+    try {
+        const result = await pool.query(`
+            SELECT scheduled_calls.*, contacts.name AS contact_name, users.name AS created_by_name
+            FROM scheduled_calls
+            LEFT JOIN contacts ON contacts.id = scheduled_calls.contact_id
+            LEFT JOIN users ON users.id = scheduled_calls.created_by
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY scheduled_calls.scheduled_at
+            LIMIT 1000
+        `, params);
+        res.json({ scheduledCalls: result.rows });
+    } catch (error) {
+        console.error('Scheduled calls query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to schedule an outbound call for later (sourceCallId links a requested callback to its call)
+app.post('/api/scheduled-calls', requireRole('caller'), async (req, res) => {
+    let input;
+    try {
+        input = parseScheduledCallInput(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const dncEntry = await getDoNotCallEntry(req.workspace.id, input.phoneNumber);
+        if (dncEntry) {
+            return res.status(403).json({
+                error: 'This number is on the do-not-call list',
+                reason: dncEntry.reason
+            });
+        }
+
+        const agent = await resolveAgent(req.workspace, req.body.agentId);
+        if (req.body.agentId && !agent) {
+            return res.status(400).json({ error: 'Agent not found' });
+        }
+
+        let sourceCallId = null;
+        if (req.body.sourceCallId) {
+            const sourceCall = await pool.query('SELECT id FROM calls WHERE id = $1 AND workspace_id = $2', [req.body.sourceCallId, req.workspace.id]);
+            if (sourceCall.rows.length === 0) {
+                return res.status(400).json({ error: 'Source call not found' });
+            }
+            sourceCallId = sourceCall.rows[0].id;
+        }
+
+        const contact = await upsertContact(req.workspace.id, input.phoneNumber);
+        const result = await pool.query(`
+            INSERT INTO scheduled_calls (workspace_id, phone_number, scheduled_at, dynamic_variables, agent_id, contact_id, source_call_id, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [req.workspace.id, input.phoneNumber, input.scheduledAt, JSON.stringify(input.dynamicVariables),
+            agent?.id || null, contact?.id || null, sourceCallId, req.user.id]);
+        const scheduledCall = { ...result.rows[0], contact_name: contact?.name || null };
+
+        broadcastEvent(req.workspace.id, 'scheduledCallUpdated', scheduledCall);
+        res.json({ success: true, message: `Call to ${input.phoneNumber} scheduled`, scheduledCall });
+    } catch (error) {
+        console.error('Scheduled call create error:', error);
+        res.status(500).json({ error: 'Failed to schedule call' });
+    }
+});
+
+// API endpoint to cancel a scheduled call that has not been placed yet
+app.post('/api/scheduled-calls/:scheduledCallId/cancel', requireRole('caller'), async (req, res) => {
+    try {
+        const existing = await pool.query(
+            'SELECT status FROM scheduled_calls WHERE id = $1 AND workspace_id = $2',
+            [parseInt(req.params.scheduledCallId, 10) || 0, req.workspace.id]
+        );
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Scheduled call not found' });
+        }
+
+        const result = await pool.query(`
+            UPDATE scheduled_calls SET status = 'cancelled', completed_at = NOW()
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *
+        `, [parseInt(req.params.scheduledCallId, 10)]);
+        if (result.rowCount === 0) {
+            return res.status(400).json({ error: 'Only pending scheduled calls can be cancelled' });
+        }
+
+        broadcastEvent(req.workspace.id, 'scheduledCallUpdated', result.rows[0]);
+        res.json({ success: true, message: 'Scheduled call cancelled', scheduledCall: result.rows[0] });
+    } catch (error) {
+        console.error('Scheduled call cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel scheduled call' });
+    }
+});
+
+// API endpoint to preview how a CSV will be parsed and mapped before creating a batch
+app.post('/api/batch/preview', requireRole('admin'), upload.single('csvFile'), (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No CSV file uploaded' });
+        }
+
+        const parsed = parseCSV(req.file.buffer.toString('utf-8'), parseColumnMapping(req.body.columnMapping));
+
+        res.json({
+            headers: parsed.headers,
+            mapping: parsed.mapping,
+            totalRows: parsed.totalRows,
+            validCount: parsed.contacts.length,
+            duplicates: parsed.duplicates,
+            invalid: parsed.invalid.slice(0, 20),
+            invalidCount: parsed.invalid.length,
+            sample: parsed.contacts.slice(0, 20)
+        });
+
+    } catch (error) {
+        console.error('CSV preview error:', error);
+        res.status(500).json({ error: 'Failed to parse CSV file' });
+    }
+});
+
+// API endpoint to upload CSV and create batch
+app.post('/api/batch/upload', requireRole('admin'), upload.single('csvFile'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No CSV file uploaded' });
+        }
+
+        const csvContent = req.file.buffer.toString('utf-8');
+        const { contacts, invalid, duplicates } = parseCSV(csvContent, parseColumnMapping(req.body.columnMapping));
+
+        if (contacts.length === 0) {
+            return res.status(400).json({ error: 'No valid phone numbers found in CSV' });
+        }
+
+        // Create batch record
+        const batchId = `batch-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const batchName = req.body.batchName || `Batch ${new Date().toLocaleDateString()}`;
+        const concurrency = clampNumber(req.body.concurrency, 1, BATCH_MAX_CONCURRENCY, BATCH_DEFAULT_CONCURRENCY);
+        const callsPerMinute = clampNumber(req.body.callsPerMinute, 1, BATCH_MAX_CALLS_PER_MINUTE, BATCH_DEFAULT_CALLS_PER_MINUTE);
+
+        let schedule;
+        let retryPolicy;
+        let abTest;
+        try {
+            schedule = parseBatchSchedule(req.body);
+            retryPolicy = parseBatchRetryPolicy(req.body);
+            abTest = parseBatchVariants(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const agent = req.body.agentId ? await resolveAgent(req.workspace, req.body.agentId) : null;
+        if (req.body.agentId && !agent) {
+            return res.status(400).json({ error: 'Agent not found' });
+        }
+
+        await pool.query(`
+            INSERT INTO batches (id, name, total_calls, concurrency, calls_per_minute, start_at, window_start, window_end, allowed_days, timezone,
+                max_attempts, retry_delay_minutes, retry_outcomes, agent_id, workspace_id, variant_assignment)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        `, [batchId, batchName, contacts.length, concurrency, callsPerMinute,
+            schedule.start_at, schedule.window_start, schedule.window_end, schedule.allowed_days, schedule.timezone,
+            retryPolicy.max_attempts, retryPolicy.retry_delay_minutes, retryPolicy.retry_outcomes, agent?.id || null,
+            req.workspace.id, abTest.assignment]);
+
+        for (const [position, variant] of abTest.variants.entries()) {
+            await pool.query(
+                'INSERT INTO batch_variants (batch_id, name, prompt, first_message, weight, position) VALUES ($1, $2, $3, $4, $5, $6)',
+                [batchId, variant.name, variant.prompt, variant.first_message, variant.weight, position]
+            );
+        }
+
+        // Create batch call records, each linked to the lead's contact
+        for (const contact of contacts) {
+            const batchCallId = `bc-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const lead = await upsertContact(req.workspace.id, contact.phoneNumber, { name: contact.name, company: contact.company });
+            await pool.query(`
+                INSERT INTO batch_calls (id, batch_id, phone_number, timezone, contact_name, company, dynamic_variables, contact_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `, [batchCallId, batchId, contact.phoneNumber, contact.timezone, contact.name, contact.company,
+                JSON.stringify(contact.dynamicVariables), lead?.id || null]);
+        }
+
+        const skippedRows = [];
+        if (invalid.length > 0) skippedRows.push(`${invalid.length} invalid`);
+        if (duplicates > 0) skippedRows.push(`${duplicates} duplicate${duplicates === 1 ? '' : 's'}`);
+
+        res.json({
+            success: true,
+            message: `Batch created with ${contacts.length} phone numbers${skippedRows.length ? ` (skipped ${skippedRows.join(', ')})` : ''}`,
+            batchId: batchId,
+            totalCalls: contacts.length,
+            invalidRows: invalid.length,
+            duplicates
+        });
+
+    } catch (error) {
+        console.error('Batch upload error:', error);
+        res.status(500).json({ error: 'Failed to process CSV file' });
+    }
+});
+
+// API endpoint to start batch processing
+app.post('/api/batch/:batchId/start', requireRole('admin'), async (req, res) => {
+    const { batchId } = req.params;
+
+    try {
+        // Check if batch exists
+        const batch = await pool.query('SELECT * FROM batches WHERE id = $1 AND workspace_id = $2', [batchId, req.workspace.id]);
+        if (batch.rows.length === 0) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        if (batch.rows[0].status !== 'pending') {
+            return res.status(400).json({ error: 'Batch has already been processed' });
+        }
+
+        // Optional pacing overrides
+        const { concurrency, callsPerMinute } = req.body || {};
+        if (concurrency !== undefined || callsPerMinute !== undefined) {
+            await pool.query(
+                'UPDATE batches SET concurrency = $2, calls_per_minute = $3 WHERE id = $1',
+                [
+                    batchId,
+                    clampNumber(concurrency ?? batch.rows[0].concurrency, 1, BATCH_MAX_CONCURRENCY, BATCH_DEFAULT_CONCURRENCY),
+                    clampNumber(callsPerMinute ?? batch.rows[0].calls_per_minute, 1, BATCH_MAX_CALLS_PER_MINUTE, BATCH_DEFAULT_CALLS_PER_MINUTE)
+                ]
+            );
+        }
+
+        // Wait for a future start time, otherwise add to queue or start immediately
+        const startAt = batch.rows[0].start_at;
+        if (startAt && new Date(startAt) > new Date()) {
+            await pool.query(
+                'UPDATE batches SET status = $1, next_run_at = $2 WHERE id = $3',
+                ['scheduled', startAt, batchId]
+            );
+            return res.json({
+                success: true,
+                message: `Batch scheduled to start at ${new Date(startAt).toISOString()}`
+            });
+        }
+
+        const started = await enqueueBatch(batchId);
+
+        res.json({ 
+            success: true, 
+            message: started ? 'Batch processing started' : 'Batch added to queue'
+        });
+
+    } catch (error) {
+        console.error('Batch start error:', error);
+        res.status(500).json({ error: 'Failed to start batch processing' });
+    }
+});
+
+// API endpoint to pause a running or queued batch
+app.post('/api/batch/:batchId/pause', requireRole('admin'), async (req, res) => {
+    const { batchId } = req.params;
+
+    try {
+        const batch = await pool.query('SELECT * FROM batches WHERE id = $1 AND workspace_id = $2', [batchId, req.workspace.id]);
+        if (batch.rows.length === 0) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        if (!['processing', 'queued', 'scheduled'].includes(batch.rows[0].status)) {
+            return res.status(400).json({ error: 'Only running, queued or scheduled batches can be paused' });
+        }
+
+        // processBatch stops before its next call once it sees the paused status
+        await pool.query('UPDATE batches SET status = $1 WHERE id = $2', ['paused', batchId]);
+
+        const progress = await getBatchProgress(batchId);
+        broadcastEvent(req.workspace.id, 'batchProgress', { batchId, currentCall: null, progress });
+
+        res.json({ success: true, message: 'Batch paused', batch: progress });
+
+    } catch (error) {
+        console.error('Batch pause error:', error);
+        res.status(500).json({ error: 'Failed to pause batch' });
+    }
+});
+
+// API endpoint to resume a paused batch
+app.post('/api/batch/:batchId/resume', requireRole('admin'), async (req, res) => {
+    const { batchId } = req.params;
+
+    try {
+        const batch = await pool.query('SELECT * FROM batches WHERE id = $1 AND workspace_id = $2', [batchId, req.workspace.id]);
+        if (batch.rows.length === 0) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        if (batch.rows[0].status !== 'paused') {
+            return res.status(400).json({ error: 'Only paused batches can be resumed' });
+        }
+
+        // Always go through the queue: if the running loop hasn't noticed the pause yet it keeps dialing and
+        // the queue restarts the batch once that loop has wound down, so it never ends up 'processing' with no runner
+        const started = await enqueueBatch(batchId);
+
+        const progress = await getBatchProgress(batchId);
+        broadcastEvent(req.workspace.id, 'batchProgress', { batchId, currentCall: null, progress });
+
+        res.json({
+            success: true,
+            message: started || isBatchRunning(batchId) ? 'Batch resumed' : 'Batch added to queue',
+            batch: progress
+        });
+
+    } catch (error) {
+        console.error('Batch resume error:', error);
+        res.status(500).json({ error: 'Failed to resume batch' });
+    }
+});
+
+// API endpoint to cancel a batch and skip its remaining numbers
+app.post('/api/batch/:batchId/cancel', requireRole('admin'), async (req, res) => {
+    const { batchId } = req.params;
+
+    try {
+        const batch = await pool.query('SELECT * FROM batches WHERE id = $1 AND workspace_id = $2', [batchId, req.workspace.id]);
+        if (batch.rows.length === 0) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        if (!['pending', 'queued', 'scheduled', 'processing', 'paused'].includes(batch.rows[0].status)) {
+            return res.status(400).json({ error: 'Batch is not active' });
+        }
+
+        await pool.query('UPDATE batches SET status = $1 WHERE id = $2', ['cancelled', batchId]);
+        await pool.query(
+            'UPDATE batch_calls SET status = $1, error_message = $2 WHERE batch_id = $3 AND status = $4',
+            ['cancelled', 'Batch cancelled', batchId, 'pending']
+        );
+
+        const progress = await getBatchProgress(batchId);
+        broadcastEvent(req.workspace.id, 'batchProgress', { batchId, currentCall: null, progress });
+
+        res.json({ success: true, message: 'Batch cancelled', batch: progress });
+
+    } catch (error) {
+        console.error('Batch cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel batch' });
+    }
+});
+
+// API endpoint to reset failed calls to pending and re-queue the batch
+app.post('/api/batch/:batchId/retry-failed', requireRole('admin'), async (req, res) => {
+    const { batchId } = req.params;
+
+    try {
+        const batch = await pool.query('SELECT * FROM batches WHERE id = $1 AND workspace_id = $2', [batchId, req.workspace.id]);
+        if (batch.rows.length === 0) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        // Re-queueing a paused, cancelled or scheduled batch would silently undo that state
+        if (isBatchRunning(batchId) || !['completed', 'failed'].includes(batch.rows[0].status)) {
+            return res.status(400).json({ error: 'Only completed or failed batches can retry their failed calls' });
+        }
+
+        const reset = await pool.query(`
+            UPDATE batch_calls
+            SET status = 'pending', outcome = NULL, error_message = NULL, completed_at = NULL
+            WHERE batch_id = $1 AND status = 'failed'
+        `, [batchId]);
+
+        if (reset.rowCount === 0) {
+            return res.status(400).json({ error: 'No failed calls to retry' });
+        }
+
+        // The re-run reports its own completion
+        await pool.query(`
+            UPDATE batches
+            SET completed_calls = GREATEST(completed_calls - $2, 0),
+                failed_calls = GREATEST(failed_calls - $2, 0),
+                completion_notified_at = NULL
+            WHERE id = $1
+        `, [batchId, reset.rowCount]);
+
+        const started = await enqueueBatch(batchId);
+
+        res.json({
+            success: true,
+            message: `${reset.rowCount} failed call${reset.rowCount === 1 ? '' : 's'} re-queued`,
+            retried: reset.rowCount,
+            started
+        });
+
+    } catch (error) {
+        console.error('Batch retry error:', error);
+        res.status(500).json({ error: 'Failed to retry failed calls' });
+    }
+});
+
+// API endpoint to change a batch's start time and calling window
+app.put('/api/batch/:batchId/schedule', requireRole('admin'), async (req, res) => {
+    const { batchId } = req.params;
+
+    try {
+        const batch = await pool.query('SELECT * FROM batches WHERE id = $1 AND workspace_id = $2', [batchId, req.workspace.id]);
+        if (batch.rows.length === 0) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        if (!['pending', 'paused', 'scheduled'].includes(batch.rows[0].status)) {
+            return res.status(400).json({ error: 'Only pending, paused or scheduled batches can be rescheduled' });
+        }
+
+        let schedule;
+        try {
+            schedule = parseBatchSchedule(req.body || {});
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        // A scheduled batch is re-evaluated against the new window on the next scheduler tick
+        await pool.query(`
+            UPDATE batches
+            SET start_at = $2, window_start = $3, window_end = $4, allowed_days = $5, timezone = $6,
+                next_run_at = CASE WHEN status = 'scheduled' THEN COALESCE($2, NOW()) ELSE next_run_at END
+            WHERE id = $1
+        `, [batchId, schedule.start_at, schedule.window_start, schedule.window_end, schedule.allowed_days, schedule.timezone]);
+        await pool.query(
+            "UPDATE batch_calls SET not_before = NULL, error_message = NULL WHERE batch_id = $1 AND status = 'pending'",
+            [batchId]
+        );
+
+        const progress = await getBatchProgress(batchId);
+        broadcastEvent(req.workspace.id, 'batchProgress', { batchId, currentCall: null, progress });
+
+        res.json({ success: true, message: 'Batch schedule updated', batch: progress });
+
+    } catch (error) {
+        console.error('Batch schedule error:', error);
+        res.status(500).json({ error: 'Failed to update batch schedule' });
+    }
+});
+
+// API endpoint to get batch status
+app.get('/api/batch/:batchId', async (req, res) => {
+    const { batchId } = req.params;
+
+    try {
+        const batch = await pool.query('SELECT * FROM batches WHERE id = $1 AND workspace_id = $2', [batchId, req.workspace.id]);
+        if (batch.rows.length === 0) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        const calls = await pool.query(
+            'SELECT * FROM batch_calls WHERE batch_id = $1 ORDER BY created_at',
+            [batchId]
+        );
+
+        const attempts = await pool.query(`
+            SELECT batch_call_attempts.*
+            FROM batch_call_attempts
+            JOIN batch_calls ON batch_calls.id = batch_call_attempts.batch_call_id
+            WHERE batch_calls.batch_id = $1
+            ORDER BY batch_call_attempts.batch_call_id, batch_call_attempts.attempt_number
+        `, [batchId]);
+
+        const outcomes = {};
+        for (const call of calls.rows) {
+            if (call.outcome) {
+                outcomes[call.outcome] = (outcomes[call.outcome] || 0) + 1;
+            }
+        }
+
+        res.json({
+            batch: {
+                ...batch.rows[0],
+                awaiting_outcome: calls.rows.filter(call => call.status === 'placed').length
+            },
+            calls: calls.rows,
+            attempts: attempts.rows,
+            outcomes,
+            variants: await getBatchVariantStats(batchId)
+        });
+
+    } catch (error) {
+        console.error('Batch status error:', error);
+        res.status(500).json({ error: 'Failed to get batch status' });
+    }
+});
+// API endpoint to download a batch's per-contact results as CSV or NDJSON
+app.get('/api/batch/:batchId/export', async (req, res) => {
+    const { batchId } = req.params;
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: 'format must be csv or ndjson' });
+    }
+
+    try {
+        const batch = await pool.query('SELECT id, name FROM batches WHERE id = $1 AND workspace_id = $2', [batchId, req.workspace.id]);
+        if (batch.rows.length === 0) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        const name = (batch.rows[0].name || batchId).replace(/[^a-zA-Z0-9-_]+/g, '-');
+        startExport(res, format, `batch-${name}`, BATCH_EXPORT_COLUMNS);
+
+        // Page through the rows (transcripts included) instead of loading the whole batch into memory
+        let cursor = null;
+        let open = true;
+        while (open) {
+            const page = await pool.query(`
+                SELECT batch_calls.created_at::text AS cursor_created_at, batch_calls.id AS cursor_id,
+                       batch_calls.phone_number, batch_calls.contact_name, batch_calls.company, batch_calls.timezone,
+                       batch_calls.status, batch_calls.outcome, batch_calls.attempts, batch_calls.error_message, batch_calls.completed_at, batch_calls.call_id,
+                       batch_calls.dynamic_variables, batch_variants.name AS variant, calls.status AS call_status, calls.duration,
+                       calls.disposition, calls.conversation_id, calls.transcript
+                FROM batch_calls
+                LEFT JOIN calls ON calls.id = batch_calls.call_id
+                LEFT JOIN batch_variants ON batch_variants.id = batch_calls.variant_id
+                WHERE batch_calls.batch_id = $1
+                  AND ($2::timestamptz IS NULL OR (batch_calls.created_at, batch_calls.id) > ($2::timestamptz, $3))
+                ORDER BY batch_calls.created_at, batch_calls.id
+                LIMIT 500
+            `, [batchId, cursor?.createdAt || null, cursor?.id || null]);
+            if (page.rows.length === 0) {
+                break;
+            }
+
+            const chunk = page.rows
+                .map(({ cursor_created_at, cursor_id, ...row }) => formatExportRow(format, BATCH_EXPORT_COLUMNS, row))
+                .join('');
+            open = await writeExportChunk(res, chunk);
+
+            const last = page.rows[page.rows.length - 1];
+            cursor = { createdAt: last.cursor_created_at, id: last.cursor_id };
+            if (page.rows.length < 500) {
+                break;
+            }
+        }
+        if (open) {
+            res.end();
+        }
+    } catch (error) {
+        console.error('Batch export error:', error);
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Failed to export batch' });
+        }
+    }
+});
+
+
+// API endpoint to get all batches
+app.get('/api/batches', async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM batches WHERE workspace_id = $1 ORDER BY created_at DESC LIMIT 10',
+            [req.workspace.id]
+        );
+        res.json({ batches: result.rows });
+    } catch (error) {
+        console.error('Batches query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to get the agent's current prompt
+app.get('/api/prompt', async (req, res) => {
+    try {
+        const agent = await resolveAgent(req.workspace, req.query.agentId);
+        if (req.query.agentId && !agent) {
+            return res.status(404).json({ error: 'Agent not found' });
+        }
+
+        const prompt = await getAgentPrompt(req.workspace, agent?.elevenlabs_agent_id);
+        res.json(prompt);
+    } catch (error) {
+        console.error('Failed to load prompt:', error);
+        res.status(500).json({ error: 'Failed to load prompt', details: error.message });
+    }
+});
+
+// API endpoint to update the agent's prompt and record a new version
+app.post('/api/prompt', requireRole('admin'), async (req, res) => {
+    const { system_prompt, first_message } = req.body;
+
+    if (typeof system_prompt !== 'string' || !system_prompt.trim()) {
+        return res.status(400).json({ error: 'System prompt is required' });
+    }
+    if (first_message !== undefined && first_message !== null && typeof first_message !== 'string') {
+        return res.status(400).json({ error: 'First message must be a string' });
+    }
+
+    try {
+        const agent = await resolveAgent(req.workspace, req.query.agentId);
+        if (req.query.agentId && !agent) {
+            return res.status(404).json({ error: 'Agent not found' });
+        }
+
+        const current = await getAgentPrompt(req.workspace, agent?.elevenlabs_agent_id);
+        const firstMessage = first_message !== undefined ? first_message : current.first_message;
+
+        // Keep the prompt that was live before the first dashboard edit so it can be restored
+        const existing = await pool.query(
+            'SELECT id FROM prompt_versions WHERE workspace_id = $1 AND agent_id = $2 LIMIT 1',
+            [req.workspace.id, current.agent_id]
+        );
+        if (existing.rows.length === 0) {
+            await savePromptVersion({
+                workspaceId: req.workspace.id,
+                agentId: current.agent_id,
+                systemPrompt: current.system_prompt,
+                firstMessage: current.first_message,
+                author: 'elevenlabs'
+            });
+        }
+
+        await updateAgentPrompt(req.workspace, system_prompt, firstMessage, current.agent_id);
+
+        const version = await savePromptVersion({
+            workspaceId: req.workspace.id,
+            agentId: current.agent_id,
+            systemPrompt: system_prompt,
+            firstMessage: firstMessage,
+            author: req.user.name || req.user.email
+        });
+
+        res.json({ success: true, message: 'Prompt updated successfully', version });
+    } catch (error) {
+        console.error('Failed to save prompt:', error);
+        res.status(500).json({ error: 'Failed to save prompt', details: error.message });
+    }
+});
+
+// API endpoint to list saved prompt versions
+app.get('/api/prompt/versions', async (req, res) => {
+    try {
+        const agent = await resolveAgent(req.workspace, req.query.agentId);
+        const result = await pool.query(
+            'SELECT * FROM prompt_versions WHERE workspace_id = $1 AND agent_id = $2 ORDER BY id DESC LIMIT 50',
+            [req.workspace.id, agent?.elevenlabs_agent_id]
+        );
+        res.json({ versions: result.rows });
+    } catch (error) {
+        console.error('Prompt versions query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to roll the agent back to an earlier prompt version
+app.post('/api/prompt/versions/:versionId/rollback', requireRole('admin'), async (req, res) => {
+    const { versionId } = req.params;
+
+    try {
+        const agent = await resolveAgent(req.workspace, req.query.agentId);
+        const result = await pool.query(
+            'SELECT * FROM prompt_versions WHERE id = $1 AND workspace_id = $2 AND agent_id = $3',
+            [versionId, req.workspace.id, agent?.elevenlabs_agent_id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Prompt version not found' });
+        }
+
+        const target = result.rows[0];
+        await updateAgentPrompt(req.workspace, target.system_prompt, target.first_message, target.agent_id);
+
+        const version = await savePromptVersion({
+            workspaceId: req.workspace.id,
+            agentId: target.agent_id,
+            systemPrompt: target.system_prompt,
+            firstMessage: target.first_message,
+            author: req.user.name || req.user.email,
+            rolledBackFrom: target.id
+        });
+
+        res.json({ success: true, message: `Rolled back to version ${target.id}`, version });
+    } catch (error) {
+        console.error('Prompt rollback error:', error);
+        res.status(500).json({ error: 'Failed to roll back prompt', details: error.message });
+    }
+});
+
+// API endpoint to list the do-not-call list
+app.get('/api/dnc', async (req, res) => {
+    try {
+        const search = (req.query.search || '').replace(/[^\d+]/g, '');
+        const result = search
+            ? await pool.query(
+                'SELECT * FROM dnc_numbers WHERE workspace_id = $1 AND phone_number LIKE $2 ORDER BY created_at DESC LIMIT 500',
+                [req.workspace.id, `%${search}%`]
+            )
+            : await pool.query('SELECT * FROM dnc_numbers WHERE workspace_id = $1 ORDER BY created_at DESC LIMIT 500', [req.workspace.id]);
+        const total = await pool.query('SELECT COUNT(*) FROM dnc_numbers WHERE workspace_id = $1', [req.workspace.id]);
+        res.json({ numbers: result.rows, total: parseInt(total.rows[0].count, 10) });
+    } catch (error) {
+        console.error('DNC query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to add a number to the do-not-call list
+app.post('/api/dnc', requireRole('caller'), async (req, res) => {
+    const { phoneNumber, reason } = req.body;
+
+    if (!phoneNumber) {
+        return res.status(400).json({ error: 'Phone number is required' });
+    }
+
+    try {
+        normalizePhoneNumber(phoneNumber);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const entry = await addDoNotCallNumber(req.workspace.id, phoneNumber, reason, 'manual');
+        broadcastEvent(req.workspace.id, 'dncUpdated', entry);
+        res.json({ success: true, message: `${entry.phone_number} added to do-not-call list`, entry });
+    } catch (error) {
+        console.error('DNC add error:', error);
+        res.status(500).json({ error: 'Failed to add number' });
+    }
+});
+
+// API endpoint to remove a number from the do-not-call list
+app.delete('/api/dnc/:phoneNumber', requireRole('admin'), async (req, res) => {
+    const phoneNumber = tryNormalizePhoneNumber(req.params.phoneNumber);
+    if (!phoneNumber) {
+        return res.status(400).json({ error: 'Invalid phone number format' });
+    }
+
+    try {
+        const result = await pool.query(
+            'DELETE FROM dnc_numbers WHERE workspace_id = $1 AND phone_number = $2',
+            [req.workspace.id, phoneNumber]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Number not on do-not-call list' });
+        }
+        broadcastEvent(req.workspace.id, 'dncUpdated', { phone_number: phoneNumber, removed: true });
+        res.json({ success: true, message: `${phoneNumber} removed from do-not-call list` });
+    } catch (error) {
+        console.error('DNC remove error:', error);
+        res.status(500).json({ error: 'Failed to remove number' });
+    }
+});
+
+// API endpoint to import do-not-call numbers from CSV (phone column and optional reason column)
+app.post('/api/dnc/import', requireRole('admin'), upload.single('csvFile'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No CSV file uploaded' });
+        }
+
+        const rows = parseCsvRows(req.file.buffer.toString('utf-8'));
+        if (rows.length === 0) {
+            return res.status(400).json({ error: 'CSV file is empty' });
+        }
+
+        const hasHeader = !rows[0].some(cell => tryNormalizePhoneNumber(cell));
+        const headers = hasHeader ? rows[0].map(h => h.toLowerCase()) : [];
+        const phoneIndex = Math.max(headers.findIndex(h => /phone|mobile|cell|number/.test(h)), 0);
+        const reasonIndex = headers.indexOf('reason');
+
+        let added = 0;
+        let invalid = 0;
+        for (const columns of hasHeader ? rows.slice(1) : rows) {
+            const entry = await addDoNotCallNumber(
+                req.workspace.id,
+                columns[phoneIndex],
+                reasonIndex >= 0 ? columns[reasonIndex] : 'Imported from CSV',
+                'import'
+            );
+            if (entry) {
+                added++;
+            } else {
+                invalid++;
+            }
+        }
+
+        broadcastEvent(req.workspace.id, 'dncUpdated', { imported: added });
+
+        res.json({
+            success: true,
+            message: `Imported ${added} number${added === 1 ? '' : 's'}${invalid ? `, ${invalid} invalid row${invalid === 1 ? '' : 's'} skipped` : ''}`,
+            added,
+            invalid
+        });
+
+    } catch (error) {
+        console.error('DNC import error:', error);
+        res.status(500).json({ error: 'Failed to import CSV file' });
+    }
+});
+
+// API endpoint to export the do-not-call list as CSV
+app.get('/api/dnc/export', async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM dnc_numbers WHERE workspace_id = $1 ORDER BY created_at', [req.workspace.id]);
+        const rows = result.rows.map(row =>
+            [row.phone_number, row.reason, row.source, row.created_at?.toISOString()].map(csvEscape).join(',')
+        );
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename="do-not-call.csv"');
+        res.send(['phone_number,reason,source,created_at', ...rows].join('\n'));
+    } catch (error) {
+        console.error('DNC export error:', error);
+        res.status(500).json({ error: 'Failed to export do-not-call list' });
+    }
+});
+
+// API endpoint to list contacts, optionally filtered by a search term or tag
+app.get('/api/contacts', async (req, res) => {
+    try {
+        const conditions = ['workspace_id = $1'];
+        const params = [req.workspace.id];
+
+        const search = (req.query.search || '').trim();
+        if (search) {
+            params.push(`%${search}%`);
+            const textParam = params.length;
+            const digits = search.replace(/[^\d]/g, '');
+            if (digits) {
+                params.push(`%${digits}%`);
+                conditions.push(`(name ILIKE $${textParam} OR company ILIKE $${textParam} OR phone_number LIKE $${params.length})`);
+            } else {
+                conditions.push(`(name ILIKE $${textParam} OR company ILIKE $${textParam})`);
+            }
+        }
+
+        if (req.query.tag) {
+            params.push(String(req.query.tag).trim().toLowerCase());
+            conditions.push(`$${params.length} = ANY(tags)`);
+        }
+
+        const result = await pool.query(`
+            SELECT contacts.*,
+                (SELECT COUNT(*)::int FROM calls WHERE calls.contact_id = contacts.id) AS call_count,
+                (SELECT MAX(timestamp) FROM calls WHERE calls.contact_id = contacts.id) AS last_call_at
+            FROM contacts
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY last_call_at DESC NULLS LAST, created_at DESC
+            LIMIT 500
+        `, params);
+        res.json({ contacts: result.rows });
+    } catch (error) {
+        console.error('Contacts query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to get a contact with every call and batch it has been part of
+app.get('/api/contacts/:contactId', async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM contacts WHERE id = $1 AND workspace_id = $2',
+            [parseInt(req.params.contactId, 10) || 0, req.workspace.id]
+        );
+        const contact = result.rows[0];
+        if (!contact) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+
+        const calls = await pool.query(`
+            SELECT id, timestamp, call_type, caller_number, called_number, duration, status, conversation_id, agent_id, transcript
+            FROM calls WHERE contact_id = $1
+            ORDER BY timestamp DESC
+        `, [contact.id]);
+        const batches = await pool.query(`
+            SELECT batch_calls.id, batch_calls.batch_id, batches.name AS batch_name, batches.status AS batch_status,
+                batch_calls.status, batch_calls.outcome, batch_calls.attempts, batch_calls.completed_at, batch_calls.call_id
+            FROM batch_calls
+            JOIN batches ON batches.id = batch_calls.batch_id
+            WHERE batch_calls.contact_id = $1
+            ORDER BY batch_calls.created_at DESC
+        `, [contact.id]);
+
+        res.json({ contact, calls: calls.rows, batches: batches.rows });
+    } catch (error) {
+        console.error('Contact query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to update a contact's details
+app.put('/api/contacts/:contactId', requireRole('caller'), async (req, res) => {
+    let input;
+    try {
+        input = parseContactInput(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const result = await pool.query(`
+            UPDATE contacts SET name = $3, company = $4, tags = $5, notes = $6, updated_at = NOW()
+            WHERE id = $1 AND workspace_id = $2
+            RETURNING *
+        `, [parseInt(req.params.contactId, 10) || 0, req.workspace.id, input.name, input.company, input.tags, input.notes]);
+        const contact = result.rows[0];
+        if (!contact) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        broadcastEvent(req.workspace.id, 'contactUpdated', contact);
+        res.json({ success: true, message: 'Contact saved', contact });
+    } catch (error) {
+        console.error('Contact update error:', error);
+        res.status(500).json({ error: 'Failed to save contact' });
+    }
+});
+
+// API endpoint to delete a contact (its calls and batch rows are kept, unlinked)
+app.delete('/api/contacts/:contactId', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM contacts WHERE id = $1 AND workspace_id = $2 RETURNING id',
+            [parseInt(req.params.contactId, 10) || 0, req.workspace.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+        broadcastEvent(req.workspace.id, 'contactUpdated', { id: result.rows[0].id, removed: true });
+        res.json({ success: true, message: 'Contact deleted' });
+    } catch (error) {
+        console.error('Contact delete error:', error);
+        res.status(500).json({ error: 'Failed to delete contact' });
+    }
+});
+
+// API endpoint to list the workspace's transcript tag rules
+app.get('/api/tag-rules', async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM tag_rules WHERE workspace_id = $1 ORDER BY tag, id', [req.workspace.id]);
+        res.json({ rules: result.rows, sentimentTag: NEGATIVE_SENTIMENT_TAG });
+    } catch (error) {
+        console.error('Tag rules query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to add a keyword or regex tag rule
+app.post('/api/tag-rules', requireRole('admin'), async (req, res) => {
+    let input;
+    try {
+        input = parseTagRuleInput(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const result = await pool.query(
+            'INSERT INTO tag_rules (workspace_id, tag, match_type, pattern) VALUES ($1, $2, $3, $4) RETURNING *',
+            [req.workspace.id, input.tag, input.matchType, input.pattern]
+        );
+        res.json({ success: true, message: `Rule for "${input.tag}" added`, rule: result.rows[0] });
+    } catch (error) {
+        console.error('Tag rule create error:', error);
+        res.status(500).json({ error: 'Failed to add tag rule' });
+    }
+});
+
+// API endpoint to delete a tag rule (tags already on calls are kept until they are re-tagged)
+app.delete('/api/tag-rules/:ruleId', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM tag_rules WHERE id = $1 AND workspace_id = $2',
+            [parseInt(req.params.ruleId, 10) || 0, req.workspace.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Tag rule not found' });
+        }
+        res.json({ success: true, message: 'Tag rule deleted' });
+    } catch (error) {
+        console.error('Tag rule delete error:', error);
+        res.status(500).json({ error: 'Failed to delete tag rule' });
+    }
+});
+
+// API endpoint to re-tag recent calls with the current rules (days: how far back, default 30)
+// Historical calls raise no tag alerts or call.updated events; dashboards reload the list afterwards
+app.post('/api/tag-rules/apply', requireRole('admin'), async (req, res) => {
+    const days = clampNumber(req.body.days, 1, 365, 30);
+
+    try {
+        const calls = await pool.query(`
+            SELECT id FROM calls
+            WHERE workspace_id = $1 AND timestamp >= NOW() - make_interval(days => $2)
+              AND EXISTS (SELECT 1 FROM call_turns WHERE call_turns.call_id = calls.id)
+            ORDER BY timestamp DESC
+            LIMIT 2000
+        `, [req.workspace.id, days]);
+
+        for (const call of calls.rows) {
+            const turns = await pool.query('SELECT role, message FROM call_turns WHERE call_id = $1 ORDER BY turn_index', [call.id]);
+            await tagCall(req.workspace.id, call.id, turns.rows, { quiet: true });
+        }
+
+        res.json({ success: true, message: `Re-tagged ${calls.rows.length} call${calls.rows.length === 1 ? '' : 's'} from the last ${days} days` });
+    } catch (error) {
+        console.error('Tag rules apply error:', error);
+        res.status(500).json({ error: 'Failed to re-tag calls' });
+    }
+});
+
+// API endpoint to list the tags the current user is alerted about
+app.get('/api/tag-alerts', async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM tag_alerts WHERE user_id = $1 ORDER BY tag', [req.user.id]);
+        res.json({ alerts: result.rows });
+    } catch (error) {
+        console.error('Tag alerts query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to get a live alert whenever a new call is given a tag
+app.post('/api/tag-alerts', async (req, res) => {
+    const tag = String(req.body.tag ?? '').trim().toLowerCase();
+    if (!tag || tag.length > 50) {
+        return res.status(400).json({ error: 'Tag is required' });
+    }
+
+    try {
+        const result = await pool.query(`
+            INSERT INTO tag_alerts (workspace_id, user_id, tag) VALUES ($1, $2, $3)
+            ON CONFLICT (user_id, tag) DO UPDATE SET tag = EXCLUDED.tag
+            RETURNING *
+        `, [req.workspace.id, req.user.id, tag]);
+        res.json({ success: true, message: `You will be alerted about "${tag}" calls`, alert: result.rows[0] });
+    } catch (error) {
+        console.error('Tag alert create error:', error);
+        res.status(500).json({ error: 'Failed to save alert' });
+    }
+});
+
+// API endpoint to stop alerting the current user about a tag
+app.delete('/api/tag-alerts/:tag', async (req, res) => {
+    try {
+        await pool.query('DELETE FROM tag_alerts WHERE user_id = $1 AND tag = $2', [req.user.id, req.params.tag.toLowerCase()]);
+        res.json({ success: true, message: `Alert for "${req.params.tag}" removed` });
+    } catch (error) {
+        console.error('Tag alert delete error:', error);
+        res.status(500).json({ error: 'Failed to remove alert' });
+    }
+});
+
+// Record a rejected webhook attempt in the audit log
+async function logRejectedWebhook(req, reason, eventId = null) {
+    console.warn(`🚨 Webhook rejected: ${reason}`);
+    try {
+        await pool.query(`
+            INSERT INTO webhook_audit_log (ip_address, reason, event_id, signature_header, user_agent, body_excerpt)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [
+            req.ip,
+            reason,
+            eventId,
+            req.get('elevenlabs-signature') || null,
+            req.get('user-agent') || null,
+            req.rawBody ? req.rawBody.toString('utf-8').substr(0, 1000) : null
+        ]);
+    } catch (error) {
+        console.error('Failed to write webhook audit log:', error);
+    }
+}
+
+// Resolve the workspace a webhook is for from /webhook/:workspaceSlug (plain /webhook is the default workspace)
+async function resolveWebhookWorkspace(req, res, next) {
+    try {
+        req.workspace = req.params.workspaceSlug
+            ? await getWorkspaceBySlug(req.params.workspaceSlug)
+            : await getDefaultWorkspace();
+    } catch (error) {
+        console.error('Webhook workspace lookup error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!req.workspace) {
+        await logRejectedWebhook(req, `Unknown workspace: ${req.params.workspaceSlug}`);
+        return res.status(404).json({ error: 'Workspace not found' });
+    }
+    next();
+}
+
+// Verify the ElevenLabs HMAC signature ("t=<timestamp>,v0=<hex hmac>") with the workspace's secret and reject replays
+// (a workspace without a webhook secret accepts no webhooks, since anyone who knows its slug could post to it)
+async function verifyWebhookSignature(req, res, next) {
+    const secret = req.workspace.elevenlabs_webhook_secret;
+
+    const reject = async (reason, eventId) => {
+        await logRejectedWebhook(req, reason, eventId);
+        res.status(401).json({ error: 'Invalid webhook signature' });
+    };
+
+    if (!secret) {
+        return reject(`No webhook secret configured for workspace ${req.workspace.slug}`);
+    }
+
+    const header = req.get('elevenlabs-signature');
+    if (!header || !req.rawBody) {
+        return reject('Missing signature header');
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => {
+        const [key, ...value] = part.trim().split('=');
+        return [key, value.join('=')];
+    }));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v0) {
+        return reject('Malformed signature header');
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+        return reject('Timestamp outside tolerance');
+    }
+
+    const expected = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${req.rawBody.toString('utf-8')}`)
+        .digest('hex');
+    const expectedBuffer = Buffer.from(expected, 'utf-8');
+    const receivedBuffer = Buffer.from(parts.v0, 'utf-8');
+    if (expectedBuffer.length !== receivedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, receivedBuffer)) {
+        return reject('Signature mismatch');
+    }
+
+    // Each event is accepted only once
+    const body = req.body || {};
+    const eventId = body.event_id ||
+        `${body.type || 'event'}:${body.data?.conversation_id || ''}:${body.event_timestamp || timestamp}`;
+    try {
+        const inserted = await pool.query(
+            'INSERT INTO webhook_events (event_id) VALUES ($1) ON CONFLICT (event_id) DO NOTHING',
+            [eventId]
+        );
+        // A replay of an event we already processed is not an auth failure, so the sender is told it's done
+        if (inserted.rowCount === 0) {
+            await logRejectedWebhook(req, 'Duplicate event', eventId);
+            return res.status(200).json({ success: true, duplicate: true, message: 'Duplicate event ignored' });
+        }
+    } catch (error) {
+        console.error('Webhook replay check failed:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+
+    // The id only counts as processed once the handler succeeds, so ElevenLabs can retry a failed delivery
+    let finished = false;
+    res.on('finish', () => {
+        finished = true;
+        if (res.statusCode >= 500) releaseWebhookEvent(eventId);
+    });
+    res.on('close', () => {
+        if (!finished) releaseWebhookEvent(eventId);
+    });
+
+    next();
+}
+
+async function releaseWebhookEvent(eventId) {
+    try {
+        await pool.query('DELETE FROM webhook_events WHERE event_id = $1', [eventId]);
+    } catch (error) {
+        console.error('Failed to release webhook event id:', error);
+    }
+}
+
+// Forget processed event ids once they are too old to pass the timestamp check
+async function pruneWebhookEvents() {
+    try {
+        await pool.query(
+            'DELETE FROM webhook_events WHERE received_at < NOW() - make_interval(secs => $1)',
+            [WEBHOOK_TOLERANCE_SECONDS * 2]
+        );
+    } catch (error) {
+        console.error('Webhook event cleanup error:', error);
+    }
+}
+
+// Check a notification rule from the dashboard; throws with a user-facing message
+function parseNotificationRule(body) {
+    const name = String(body.name || '').trim();
+    if (!name) {
+        throw new Error('Rule name is required');
+    }
+    if (!NOTIFICATION_EVENTS.includes(body.event)) {
+        throw new Error(`event must be one of: ${NOTIFICATION_EVENTS.join(', ')}`);
+    }
+
+    const input = body.conditions || {};
+    const conditions = {};
+    if (input.direction) {
+        if (!['inbound', 'outbound'].includes(input.direction)) {
+            throw new Error('direction must be inbound or outbound');
+        }
+        conditions.direction = input.direction;
+    }
+    if (input.minDuration) {
+        conditions.minDuration = parseFilterDuration(input.minDuration, 'minDuration');
+    }
+    if (input.minFailureRate) {
+        const rate = Number(input.minFailureRate);
+        if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+            throw new Error('minFailureRate must be between 0 and 100');
+        }
+        conditions.minFailureRate = rate;
+    }
+    const keywords = Array.isArray(input.keywords) ? input.keywords : String(input.keywords || '').split(',');
+    if (keywords.some(keyword => String(keyword).trim())) {
+        conditions.keywords = keywords.map(keyword => String(keyword).trim()).filter(Boolean);
+    }
+
+    const channels = (body.channels || []).map(channel => {
+        if (!NOTIFICATION_CHANNELS.includes(channel.type)) {
+            throw new Error(`Channel type must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+        }
+        const targets = (Array.isArray(channel.targets) ? channel.targets : String(channel.targets || '').split(/[\s,]+/))
+            .map(target => String(target).trim())
+            .filter(Boolean);
+
+        for (const target of targets) {
+            if (channel.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target)) {
+                throw new Error(`Invalid email address: ${target}`);
+            }
+            if (channel.type !== 'email' && !/^https?:\/\//.test(target)) {
+                throw new Error(`Invalid ${channel.type} URL: ${target}`);
+            }
+        }
+        return { type: channel.type, targets };
+    }).filter(channel => channel.targets.length > 0);
+
+    if (channels.length === 0) {
+        throw new Error('Add at least one recipient or URL');
+    }
+
+    return {
+        name,
+        event: body.event,
+        enabled: body.enabled !== false,
+        conditions,
+        channels,
+        subject_template: body.subject_template?.trim() || null,
+        body_template: body.body_template?.trim() || null
+    };
+}
+
+// Sample context for rule tests, taken from the workspace's latest call or batch
+async function getSampleNotificationContext(workspace, event) {
+    const branding = { workspace: toWorkspaceBranding(workspace) };
+    if (event === 'batch.completed') {
+        const batch = await pool.query('SELECT * FROM batches WHERE workspace_id = $1 ORDER BY created_at DESC LIMIT 1', [workspace.id]);
+        return { ...branding, ...buildBatchNotificationContext(batch.rows[0] || {
+            id: 'batch-test', name: 'Test campaign', total_calls: 10, successful_calls: 8, failed_calls: 2, skipped_calls: 0
+        }) };
+    }
+
+    const call = await pool.query('SELECT * FROM calls WHERE workspace_id = $1 ORDER BY timestamp DESC LIMIT 1', [workspace.id]);
+    return { ...branding, ...buildCallNotificationContext(call.rows[0] || {
+        id: `test-${Date.now()}`,
+        timestamp: new Date().toISOString(),
+        caller_number: '+1 (555) 123-4567',
+        called_number: '+1 (555) 987-6543',
+        duration: 180,
+        status: 'completed',
+        call_type: 'inbound',
+        transcript: 'This is a test call to verify notifications are working properly.'
+    }) };
+}
+
+// API endpoint to list notification rules
+app.get('/api/notifications/rules', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM notification_rules WHERE workspace_id = $1 ORDER BY created_at', [req.workspace.id]);
+        res.json({ rules: result.rows, events: NOTIFICATION_EVENTS, defaults: DEFAULT_NOTIFICATION_TEMPLATES });
+    } catch (error) {
+        console.error('Notification rules query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to create a notification rule
+app.post('/api/notifications/rules', requireRole('admin'), async (req, res) => {
+    let rule;
+    try {
+        rule = parseNotificationRule(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const result = await pool.query(`
+            INSERT INTO notification_rules (name, event, enabled, conditions, channels, subject_template, body_template, workspace_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [rule.name, rule.event, rule.enabled, JSON.stringify(rule.conditions), JSON.stringify(rule.channels), rule.subject_template, rule.body_template,
+            req.workspace.id]);
+        res.json({ success: true, rule: result.rows[0] });
+    } catch (error) {
+        console.error('Notification rule create error:', error);
+        res.status(500).json({ error: 'Failed to create rule' });
+    }
+});
+
+// API endpoint to update a notification rule
+app.put('/api/notifications/rules/:ruleId', requireRole('admin'), async (req, res) => {
+    let rule;
+    try {
+        rule = parseNotificationRule(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const result = await pool.query(`
+            UPDATE notification_rules
+            SET name = $2, event = $3, enabled = $4, conditions = $5, channels = $6,
+                subject_template = $7, body_template = $8, updated_at = NOW()
+            WHERE id = $1 AND workspace_id = $9
+            RETURNING *
+        `, [parseInt(req.params.ruleId, 10) || 0, rule.name, rule.event, rule.enabled, JSON.stringify(rule.conditions), JSON.stringify(rule.channels), rule.subject_template, rule.body_template,
+            req.workspace.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        res.json({ success: true, rule: result.rows[0] });
+    } catch (error) {
+        console.error('Notification rule update error:', error);
+        res.status(500).json({ error: 'Failed to update rule' });
+    }
+});
+
+// API endpoint to delete a notification rule (its delivery log is kept)
+app.delete('/api/notifications/rules/:ruleId', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM notification_rules WHERE id = $1 AND workspace_id = $2', [parseInt(req.params.ruleId, 10) || 0, req.workspace.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        res.json({ success: true, message: 'Rule deleted' });
+    } catch (error) {
+        console.error('Notification rule delete error:', error);
+        res.status(500).json({ error: 'Failed to delete rule' });
+    }
+});
+
+// API endpoint to send a rule's notifications using the latest call or batch, ignoring its conditions
+app.post('/api/notifications/rules/:ruleId/test', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM notification_rules WHERE id = $1 AND workspace_id = $2', [parseInt(req.params.ruleId, 10) || 0, req.workspace.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        const rule = result.rows[0];
+        const context = await getSampleNotificationContext(req.workspace, rule.event);
+        const queued = await queueNotificationDeliveries([rule], rule.event, context);
+        res.json({ success: true, message: `Queued ${queued} test notification${queued === 1 ? '' : 's'}` });
+    } catch (error) {
+        console.error('Notification rule test error:', error);
+        res.status(500).json({ error: 'Failed to send test notification' });
+    }
+});
+
+// API endpoint for the notification delivery log
+app.get('/api/notifications/deliveries', requireRole('admin'), async (req, res) => {
+    try {
+        const limit = clampNumber(req.query.limit, 1, 500, 100);
+        const result = req.query.status
+            ? await pool.query(`
+                SELECT id, rule_id, event, channel, target, status, attempts, last_error, next_attempt_at, created_at, sent_at,
+                       payload->>'subject' AS subject
+                FROM notification_deliveries WHERE workspace_id = $1 AND status = $2 ORDER BY id DESC LIMIT $3
+            `, [req.workspace.id, req.query.status, limit])
+            : await pool.query(`
+                SELECT id, rule_id, event, channel, target, status, attempts, last_error, next_attempt_at, created_at, sent_at,
+                       payload->>'subject' AS subject
+                FROM notification_deliveries WHERE workspace_id = $1 ORDER BY id DESC LIMIT $2
+            `, [req.workspace.id, limit]);
+        res.json({ deliveries: result.rows });
+    } catch (error) {
+        console.error('Notification deliveries query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to retry a failed delivery now
+app.post('/api/notifications/deliveries/:deliveryId/retry', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE notification_deliveries
+            SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+            WHERE id = $1 AND workspace_id = $2 AND status = 'failed'
+            RETURNING id
+        `, [parseInt(req.params.deliveryId, 10) || 0, req.workspace.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(400).json({ error: 'Only failed deliveries can be retried' });
+        }
+
+        processNotificationDeliveries();
+        res.json({ success: true, message: 'Delivery queued for retry' });
+    } catch (error) {
+        console.error('Notification retry error:', error);
+        res.status(500).json({ error: 'Failed to retry delivery' });
+    }
+});
+
+// Check a webhook subscription from the API; throws with a user-facing message
+function parseWebhookSubscription(body) {
+    const url = String(body.url || '').trim();
+    if (!/^https?:\/\/\S+$/.test(url)) {
+        throw new Error('A valid http(s) URL is required');
+    }
+
+    const eventTypes = Array.isArray(body.event_types) ? body.event_types : [];
+    if (eventTypes.length === 0) {
+        throw new Error('Choose at least one event type');
+    }
+    const unknown = eventTypes.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown event types: ${unknown.join(', ')}. Valid types: ${EVENT_TYPES.join(', ')}`);
+    }
+
+    return {
+        url,
+        event_types: [...new Set(eventTypes)],
+        description: body.description ? String(body.description).trim() : null,
+        enabled: body.enabled !== false
+    };
+}
+
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Secrets are shown in full only when created or rotated
+function toPublicSubscription(subscription) {
+    const { secret, ...rest } = subscription;
+    return { ...rest, secret_hint: `${secret.slice(0, 10)}…` };
+}
+
+// API endpoint to list webhook subscriptions
+app.get('/api/webhooks/subscriptions', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT webhook_subscriptions.*,
+                   COUNT(webhook_deliveries.id) FILTER (WHERE webhook_deliveries.status = 'failed') AS failed_deliveries,
+                   MAX(webhook_deliveries.delivered_at) AS last_delivered_at
+            FROM webhook_subscriptions
+            LEFT JOIN webhook_deliveries ON webhook_deliveries.subscription_id = webhook_subscriptions.id
+            WHERE webhook_subscriptions.workspace_id = $1
+            GROUP BY webhook_subscriptions.id
+            ORDER BY webhook_subscriptions.created_at
+        `, [req.workspace.id]);
+        res.json({ subscriptions: result.rows.map(toPublicSubscription), eventTypes: EVENT_TYPES });
+    } catch (error) {
+        console.error('Webhook subscriptions query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to register a URL for one or more event types
+app.post('/api/webhooks/subscriptions', requireRole('admin'), async (req, res) => {
+    let subscription;
+    try {
+        subscription = parseWebhookSubscription(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const id = `sub-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const result = await pool.query(`
+            INSERT INTO webhook_subscriptions (id, url, event_types, description, enabled, secret, created_by, workspace_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [id, subscription.url, subscription.event_types, subscription.description, subscription.enabled, generateWebhookSecret(), req.user.email,
+            req.workspace.id]);
+
+        res.json({ success: true, subscription: result.rows[0] });
+    } catch (error) {
+        console.error('Webhook subscription create error:', error);
+        res.status(500).json({ error: 'Failed to create subscription' });
+    }
+});
+
+// API endpoint to update a subscription (send rotateSecret: true for a new signing secret)
+app.put('/api/webhooks/subscriptions/:subscriptionId', requireRole('admin'), async (req, res) => {
+    let subscription;
+    try {
+        subscription = parseWebhookSubscription(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const result = await pool.query(`
+            UPDATE webhook_subscriptions
+            SET url = $2, event_types = $3, description = $4, enabled = $5,
+                secret = COALESCE($6, secret)
+            WHERE id = $1 AND workspace_id = $7
+            RETURNING *
+        `, [req.params.subscriptionId, subscription.url, subscription.event_types, subscription.description, subscription.enabled,
+            req.body.rotateSecret ? generateWebhookSecret() : null, req.workspace.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+
+        const updated = result.rows[0];
+        res.json({ success: true, subscription: req.body.rotateSecret ? updated : toPublicSubscription(updated) });
+    } catch (error) {
+        console.error('Webhook subscription update error:', error);
+        res.status(500).json({ error: 'Failed to update subscription' });
+    }
+});
+
+// API endpoint to delete a subscription and its delivery history
+app.delete('/api/webhooks/subscriptions/:subscriptionId', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM webhook_subscriptions WHERE id = $1 AND workspace_id = $2',
+            [req.params.subscriptionId, req.workspace.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+        res.json({ success: true, message: 'Subscription deleted' });
+    } catch (error) {
+        console.error('Webhook subscription delete error:', error);
+        res.status(500).json({ error: 'Failed to delete subscription' });
+    }
+});
+
+// API endpoint for a subscription's delivery history
+app.get('/api/webhooks/subscriptions/:subscriptionId/deliveries', requireRole('admin'), async (req, res) => {
+    try {
+        const limit = clampNumber(req.query.limit, 1, 500, 100);
+        const result = await pool.query(`
+            SELECT webhook_deliveries.*, events.type
+            FROM webhook_deliveries
+            JOIN events ON events.id = webhook_deliveries.event_id
+            WHERE webhook_deliveries.subscription_id = $1 AND events.workspace_id = $3
+            ORDER BY webhook_deliveries.id DESC
+            LIMIT $2
+        `, [req.params.subscriptionId, limit, req.workspace.id]);
+        res.json({ deliveries: result.rows });
+    } catch (error) {
+        console.error('Webhook deliveries query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to list stored events
+app.get('/api/events', requireRole('admin'), async (req, res) => {
+    try {
+        const limit = clampNumber(req.query.limit, 1, 500, 100);
+        const result = req.query.type
+            ? await pool.query(
+                'SELECT * FROM events WHERE workspace_id = $1 AND type = $2 ORDER BY created_at DESC LIMIT $3',
+                [req.workspace.id, req.query.type, limit]
+            )
+            : await pool.query('SELECT * FROM events WHERE workspace_id = $1 ORDER BY created_at DESC LIMIT $2', [req.workspace.id, limit]);
+        res.json({ events: result.rows });
+    } catch (error) {
+        console.error('Events query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to resend an event to every current subscriber, or to one subscription
+app.post('/api/events/:eventId/replay', requireRole('admin'), async (req, res) => {
+    const subscriptionId = req.body?.subscriptionId || null;
+
+    try {
+        const event = await pool.query(
+            'SELECT id, type FROM events WHERE id = $1 AND workspace_id = $2',
+            [req.params.eventId, req.workspace.id]
+        );
+        if (event.rows.length === 0) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const queued = await queueWebhookDeliveries(req.workspace.id, event.rows[0].id, event.rows[0].type, subscriptionId);
+        if (queued === 0) {
+            return res.status(400).json({ error: subscriptionId ? 'Subscription not found' : 'No subscriptions for this event type' });
+        }
+
+        processWebhookDeliveries();
+        res.json({ success: true, message: `Replaying to ${queued} subscription${queued === 1 ? '' : 's'}` });
+    } catch (error) {
+        console.error('Event replay error:', error);
+        res.status(500).json({ error: 'Failed to replay event' });
+    }
+});
+
+// Structured transcript helpers
+const TURN_FIELDS = ['role', 'message', 'time_in_call_secs', 'tool_calls', 'tool_results'];
+
+// Flattened Agent:/Caller: text, still used for search and email notifications
+function formatTranscript(turns) {
+    return (turns || [])
+        .filter(turn => turn.message)
+        .map(turn => `${turn.role === 'agent' ? 'Agent' : 'Caller'}: ${turn.message}`)
+        .join('\n');
+}
+
+// Replace a call's turns with those from an ElevenLabs transcript array
+async function saveCallTurns(callId, turns) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM call_turns WHERE call_id = $1', [callId]);
+
+        for (const [index, turn] of turns.entries()) {
+            // Everything we don't have a column for (feedback, metrics, RAG info...) goes in metadata
+            const metadata = Object.fromEntries(
+                Object.entries(turn).filter(([key, value]) => !TURN_FIELDS.includes(key) && value !== null)
+            );
+
+            await client.query(`
+                INSERT INTO call_turns (call_id, turn_index, role, message, time_in_call_secs, tool_calls, tool_results, metadata)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `, [
+                callId,
+                index,
+                turn.role || null,
+                turn.message || null,
+                Number.isFinite(turn.time_in_call_secs) ? turn.time_in_call_secs : null,
+                turn.tool_calls?.length ? JSON.stringify(turn.tool_calls) : null,
+                turn.tool_results?.length ? JSON.stringify(turn.tool_results) : null,
+                Object.keys(metadata).length ? JSON.stringify(metadata) : null
+            ]);
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Store the raw payload on a call and rebuild its turns from it
+async function storeCallPayload(callId, payload) {
+    await pool.query('UPDATE calls SET raw_payload = $2 WHERE id = $1', [callId, JSON.stringify(payload)]);
+
+    const turns = payload?.data?.transcript;
+    if (Array.isArray(turns)) {
+        await saveCallTurns(callId, turns);
+    }
+}
 
-                // Update batch call status
-                await pool.query(
-                    'UPDATE batch_calls SET status = $1, call_id = $2, completed_at = NOW() WHERE id = $3',
-                    ['completed', callData.id, batchCall.id]
-                );
+// The raw payload can be large, so it is only sent by the single-call endpoint
+function withoutRawPayload(call) {
+    if (!call) return call;
+    const { raw_payload, ...rest } = call;
+    return rest;
+}
 
-                // Update batch counters
-                await pool.query(
-                    'UPDATE batches SET completed_calls = completed_calls + 1, successful_calls = successful_calls + 1 WHERE id = $1',
-                    [batchId]
-                );
+// Webhook endpoint - ElevenLabs will POST here (each workspace uses /webhook/<workspace slug>)
+app.post(['/webhook', '/webhook/:workspaceSlug'], resolveWebhookWorkspace, verifyWebhookSignature, async (req, res) => {
+    console.log(`Webhook received from ElevenLabs for workspace ${req.workspace.slug}`);
+    
+    const webhookData = req.body;
+    const workspaceId = req.workspace.id;
+    
+    // Extract transcript from the webhook
+    const hasTranscript = Array.isArray(webhookData.data?.transcript);
+    const transcript = hasTranscript ? formatTranscript(webhookData.data.transcript) : '';
+    
+    // Extract call data
+    const callData = {
+        id: webhookData.data?.conversation_id || Date.now().toString(),
+        timestamp: new Date().toISOString(),
+        caller_number: webhookData.data?.metadata?.phone_call?.external_number || 
+                      webhookData.data?.conversation_initiation_client_data?.dynamic_variables?.system__caller_id || 
+                      'Unknown',
+        called_number: webhookData.data?.metadata?.phone_call?.agent_number || 
+                      webhookData.data?.conversation_initiation_client_data?.dynamic_variables?.system__called_number || 
+                      'Unknown',
+        duration: webhookData.data?.metadata?.call_duration_secs || 
+                 webhookData.data?.conversation_initiation_client_data?.dynamic_variables?.system__call_duration_secs || 
+                 0,
+        status: 'completed',
+        call_type: 'inbound',
+        transcript: transcript || '',
+        conversation_id: webhookData.data?.conversation_id,
+        workspace_id: workspaceId
+    };
+    
+    try {
+        // Row the payload and turns are stored against, once we know it exists
+        let storedCallId = null;
 
-                // Broadcast new call
-                io.emit('newCall', callData);
+        // Check if this is an outbound call we initiated
+        const outboundCall = await pool.query(
+            'SELECT * FROM calls WHERE conversation_id = $1 AND call_type = $2 AND workspace_id = $3', 
+            [callData.conversation_id, 'outbound', workspaceId]
+        );
+        
+        if (outboundCall.rows.length > 0) {
+            // Outbound calls record their real outcome instead of a generic 'completed'; a later payload
+            // without a transcript (e.g. audio only) can't tell the outcome, so it keeps the one stored
+            const previousStatus = outboundCall.rows[0].status;
+            callData.status = !hasTranscript && CALL_OUTCOMES.includes(previousStatus)
+                ? previousStatus
+                : getCallOutcome(webhookData.data || {}) || callData.status;
 
-                console.log(`✅ Call initiated successfully to ${batchCall.phone_number}`);
+            // Update existing outbound call (a later payload without audio or transcript keeps what is stored)
+            await pool.query(`
+                UPDATE calls 
+                SET duration = GREATEST(COALESCE(duration, 0), $2), status = $3,
+                    transcript = COALESCE(NULLIF($4, ''), transcript), timestamp = $5
+                WHERE conversation_id = $1 AND call_type = 'outbound' AND workspace_id = $6
+            `, [callData.conversation_id, callData.duration, callData.status, callData.transcript, callData.timestamp, workspaceId]);
+            storedCallId = outboundCall.rows[0].id;
+            
+            const updatedCall = await pool.query('SELECT * FROM calls WHERE id = $1', [storedCallId]);
+            if (updatedCall.rows.length > 0) {
+                broadcastEvent(workspaceId, 'updateCall', withoutRawPayload(updatedCall.rows[0]));
 
-                // Wait 2 seconds between calls to be respectful
-                await new Promise(resolve => setTimeout(resolve, 2000));
+                // Only the first webhook that gives the call its final outcome notifies
+                if (CALL_OUTCOMES.includes(callData.status) && !CALL_OUTCOMES.includes(previousStatus)) {
+                    notifyEvent(workspaceId, 'call.completed', buildCallNotificationContext({ ...updatedCall.rows[0], raw_payload: webhookData }));
+                }
+            }
 
-            } catch (error) {
-                console.error(`❌ Failed to call ${batchCall.phone_number}:`, error.message);
+            if (CALL_OUTCOMES.includes(callData.status)) {
+                await settleBatchCall(storedCallId, callData.status);
+            }
+        } else {
+            // Handle inbound call
+            callData.agent_id = await findInboundAgentId(workspaceId, webhookData.data);
+            const contact = await upsertContact(workspaceId, callData.caller_number);
+            callData.contact_id = contact?.id || null;
+            callData.contact_name = contact?.name || null;
+            const existingCall = await pool.query('SELECT id FROM calls WHERE id = $1 AND workspace_id = $2', [callData.id, workspaceId]);
+            
+            if (existingCall.rows.length > 0) {
+                await pool.query(`
+                    UPDATE calls 
+                    SET caller_number = COALESCE(NULLIF($2, 'Unknown'), caller_number),
+                        called_number = COALESCE(NULLIF($3, 'Unknown'), called_number),
+                        duration = GREATEST($4, duration),
+                        transcript = CASE WHEN LENGTH($5) > LENGTH(COALESCE(transcript, '')) THEN $5 ELSE transcript END,
+                        conversation_id = COALESCE($6, conversation_id),
+                        agent_id = COALESCE(agent_id, $7),
+                        contact_id = COALESCE(contact_id, $8)
+                    WHERE id = $1
+                `, [callData.id, callData.caller_number, callData.called_number, callData.duration, callData.transcript, callData.conversation_id, callData.agent_id,
+                    callData.contact_id]);
+                storedCallId = callData.id;
                 
-                // Update batch call with error
-                await pool.query(
-                    'UPDATE batch_calls SET status = $1, error_message = $2, completed_at = NOW() WHERE id = $3',
-                    ['failed', error.message, batchCall.id]
-                );
+                const updatedCall = await pool.query('SELECT * FROM calls WHERE id = $1', [callData.id]);
+                broadcastEvent(workspaceId, 'updateCall', withoutRawPayload(updatedCall.rows[0]));
+            } else {
+                if (callData.caller_number !== 'Unknown' || callData.duration > 0 || callData.transcript) {
+                    await pool.query(`
+                        INSERT INTO calls (id, timestamp, caller_number, called_number, duration, status, call_type, transcript, conversation_id, agent_id, workspace_id, contact_id)
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                    `, [callData.id, callData.timestamp, callData.caller_number, callData.called_number, 
+                        callData.duration, callData.status, callData.call_type, callData.transcript, callData.conversation_id, callData.agent_id,
+                        callData.workspace_id, callData.contact_id]);
+                    storedCallId = callData.id;
+                    
+                    notifyEvent(workspaceId, 'call.completed', buildCallNotificationContext({ ...callData, raw_payload: webhookData }));
+                    broadcastEvent(workspaceId, 'newCall', callData);
+                }
+            }
+        }
 
-                // Update batch counters
-                await pool.query(
-                    'UPDATE batches SET completed_calls = completed_calls + 1, failed_calls = failed_calls + 1 WHERE id = $1',
-                    [batchId]
-                );
+        // Keep the full transcription payload and its turns (audio-only webhooks are skipped), then tag it
+        if (storedCallId && hasTranscript) {
+            await storeCallPayload(storedCallId, webhookData);
+            await tagCall(workspaceId, storedCallId, webhookData.data.transcript);
+        }
 
-                // Continue with next call
-                continue;
+        // Automatic opt-out when the caller asks not to be called again
+        const optOutPhrase = findOptOutPhrase(webhookData.data?.transcript);
+        if (optOutPhrase && callData.caller_number !== 'Unknown') {
+            const dncEntry = await addDoNotCallNumber(
+                workspaceId,
+                callData.caller_number,
+                `Opted out during call ${callData.conversation_id || callData.id}: "${optOutPhrase}"`,
+                'opt-out'
+            );
+            if (dncEntry) {
+                console.log(`🚫 ${dncEntry.phone_number} added to do-not-call list (opt-out)`);
+                broadcastEvent(workspaceId, 'dncUpdated', dncEntry);
+            }
+        }
+    } catch (error) {
+        // A 500 frees the event id so ElevenLabs' retry is processed
+        console.error('Database error:', error);
+        return res.status(500).json({ error: 'Database error' });
+    }
+    
+    res.status(200).json({ success: true, message: 'Webhook received' });
+});
+
+// Call history helpers
+const CALL_PAGE_SIZE = 50;
+const CALL_MAX_PAGE_SIZE = 200;
+
+// Cursors are opaque to clients: the last row's exact timestamp (as Postgres text,
+// so microseconds survive) plus its id as a tie-breaker
+function encodeCallCursor(row) {
+    return Buffer.from(JSON.stringify({ t: row.cursor_timestamp, id: row.id })).toString('base64url');
+}
+
+function decodeCallCursor(cursor) {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof t === 'string' && typeof id === 'string') {
+            return { timestamp: t, id };
+        }
+    } catch (error) {
+        // Fall through to the error below
+    }
+    throw new Error('Invalid cursor');
+}
+
+function parseFilterDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`${name} must be a valid date`);
+    }
+    return date.toISOString();
+}
+
+function parseFilterDuration(value, name) {
+    const seconds = Number(value);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+        throw new Error(`${name} must be a non-negative number of seconds`);
+    }
+    return Math.floor(seconds);
+}
+
+// Turn call history query params into SQL conditions for one workspace; throws on invalid input
+function buildCallFilters(query, workspaceId) {
+    const conditions = [];
+    const params = [];
+    const addParam = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    conditions.push(`workspace_id = ${addParam(workspaceId)}`);
+
+    if (query.from) {
+        conditions.push(`timestamp >= ${addParam(parseFilterDate(query.from, 'from'))}`);
+    }
+    if (query.to) {
+        conditions.push(`timestamp <= ${addParam(parseFilterDate(query.to, 'to'))}`);
+    }
+
+    const direction = query.direction || query.call_type;
+    if (direction) {
+        if (!['inbound', 'outbound'].includes(direction)) {
+            throw new Error('direction must be inbound or outbound');
+        }
+        // Older rows may have no call_type; they were all inbound
+        conditions.push(direction === 'inbound'
+            ? `COALESCE(call_type, 'inbound') = 'inbound'`
+            : `call_type = 'outbound'`);
+    }
+
+    if (query.status) {
+        const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+        conditions.push(`status = ANY(${addParam(statuses)})`);
+    }
+
+    if (query.phone) {
+        const digits = String(query.phone).replace(/\D/g, '');
+        if (!digits) {
+            throw new Error('phone must contain digits');
+        }
+        const pattern = addParam(`%${digits}%`);
+        conditions.push(`(regexp_replace(COALESCE(caller_number, ''), '\\D', '', 'g') LIKE ${pattern}
+            OR regexp_replace(COALESCE(called_number, ''), '\\D', '', 'g') LIKE ${pattern})`);
+    }
+
+    if (query.agent) {
+        const agentId = parseInt(query.agent, 10);
+        if (isNaN(agentId)) {
+            throw new Error('agent must be an agent id');
+        }
+        conditions.push(`agent_id = ${addParam(agentId)}`);
+    }
+
+    if (query.minDuration !== undefined && query.minDuration !== '') {
+        conditions.push(`COALESCE(duration, 0) >= ${addParam(parseFilterDuration(query.minDuration, 'minDuration'))}`);
+    }
+    if (query.maxDuration !== undefined && query.maxDuration !== '') {
+        conditions.push(`COALESCE(duration, 0) <= ${addParam(parseFilterDuration(query.maxDuration, 'maxDuration'))}`);
+    }
+
+    if (query.disposition) {
+        const dispositions = String(query.disposition).split(',').map(disposition => disposition.trim()).filter(Boolean);
+        const invalid = dispositions.find(disposition => disposition !== 'none' && !CALL_DISPOSITIONS.includes(disposition));
+        if (invalid) {
+            throw new Error(`disposition must be one of: ${[...CALL_DISPOSITIONS, 'none'].join(', ')}`);
+        }
+        const named = dispositions.filter(disposition => disposition !== 'none');
+        const clauses = named.length ? [`disposition = ANY(${addParam(named)})`] : [];
+        if (dispositions.includes('none')) {
+            clauses.push('disposition IS NULL');
+        }
+        conditions.push(`(${clauses.join(' OR ')})`);
+    }
+
+    if (query.tag) {
+        conditions.push(`tags @> ARRAY[${addParam(String(query.tag).trim().toLowerCase())}]::text[]`);
+    }
+
+    if (query.sentiment) {
+        if (!['positive', 'neutral', 'negative'].includes(query.sentiment)) {
+            throw new Error('sentiment must be positive, neutral or negative');
+        }
+        conditions.push(`sentiment = ${addParam(query.sentiment)}`);
+    }
+
+    if (query.tasks) {
+        if (query.tasks !== 'open') {
+            throw new Error('tasks must be open');
+        }
+        conditions.push(`EXISTS (SELECT 1 FROM call_tasks WHERE call_tasks.call_id = calls.id AND call_tasks.status = 'open')`);
+    }
+
+    if (query.q && String(query.q).trim()) {
+        conditions.push(`to_tsvector('english', COALESCE(transcript, '')) @@ websearch_to_tsquery('english', ${addParam(String(query.q).trim())})`);
+    }
+
+    if (query.cursor) {
+        const cursor = decodeCallCursor(query.cursor);
+        conditions.push(`(timestamp, id) < (${addParam(cursor.timestamp)}::timestamptz, ${addParam(cursor.id)})`);
+    }
+
+    return { conditions, params };
+}
+
+// One page of call history, newest first
+async function queryCalls({ conditions, params }, pageSize) {
+    const limit = clampNumber(pageSize, 1, CALL_MAX_PAGE_SIZE, CALL_PAGE_SIZE);
+
+    const result = await pool.query(`
+        SELECT *, timestamp::text AS cursor_timestamp,
+            (SELECT name FROM contacts WHERE contacts.id = calls.contact_id) AS contact_name,
+            (SELECT COUNT(*)::int FROM call_tasks WHERE call_tasks.call_id = calls.id AND call_tasks.status = 'open') AS open_task_count
+        FROM calls
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY timestamp DESC, id DESC
+        LIMIT ${limit + 1}
+    `, params);
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+
+    return {
+        calls: rows.map(({ cursor_timestamp, ...call }) => withoutRawPayload(call)),
+        nextCursor: hasMore ? encodeCallCursor(rows[rows.length - 1]) : null
+    };
+}
+
+// API endpoint to search and page through call history
+// Query params: from, to, direction, status, phone, agent, minDuration, maxDuration, disposition, tag, sentiment, tasks, q, limit, cursor
+app.get('/api/calls', async (req, res) => {
+    let filters;
+    try {
+        filters = buildCallFilters(req.query, req.workspace.id);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        res.json(await queryCalls(filters, req.query.limit));
+    } catch (error) {
+        console.error('Database query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Export helpers
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+const CALL_EXPORT_COLUMNS = ['id', 'timestamp', 'call_type', 'caller_number', 'contact_name', 'called_number', 'agent_id', 'duration', 'status', 'disposition', 'notes', 'open_task_count', 'tags', 'sentiment', 'sentiment_score', 'conversation_id', 'transcript'];
+const BATCH_EXPORT_COLUMNS = ['phone_number', 'contact_name', 'company', 'timezone', 'status', 'outcome', 'attempts', 'error_message', 'completed_at', 'call_id', 'variant', 'call_status', 'duration', 'disposition', 'conversation_id', 'dynamic_variables', 'transcript'];
+
+function toExportValue(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+function formatExportRow(format, columns, row) {
+    if (format === 'ndjson') {
+        return `${JSON.stringify(row)}\n`;
+    }
+    return `${columns.map(column => csvEscape(toExportValue(row[column]))).join(',')}\n`;
+}
+
+// Set download headers and write the CSV header row
+function startExport(res, format, filename, columns) {
+    res.setHeader('Content-Type', `${EXPORT_FORMATS[format].contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${EXPORT_FORMATS[format].extension}"`);
+    if (format === 'csv') {
+        res.write(`${columns.join(',')}\n`);
+    }
+}
+
+// Write a chunk, waiting for the socket to drain so large exports don't pile up in memory.
+// Returns false once the client has gone away, so the export loop can stop.
+async function writeExportChunk(res, chunk) {
+    if (res.destroyed) {
+        return false;
+    }
+    if (res.write(chunk)) {
+        return true;
+    }
+
+    // A client that disconnects mid-export never drains, so also wait for close/error
+    const waiting = new AbortController();
+    try {
+        return await Promise.race([
+            once(res, 'drain', { signal: waiting.signal }).then(() => !res.destroyed),
+            once(res, 'close', { signal: waiting.signal }).then(() => false),
+            once(res, 'error', { signal: waiting.signal }).then(() => false)
+        ]);
+    } catch (error) {
+        return false;
+    } finally {
+        waiting.abort();
+    }
+}
+
+// API endpoint to stream call history as CSV or NDJSON, using the same filters as /api/calls
+app.get('/api/calls/export', async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: 'format must be csv or ndjson' });
+    }
+
+    const query = { ...req.query, cursor: undefined };
+    try {
+        buildCallFilters(query, req.workspace.id);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        startExport(res, format, `calls-${new Date().toISOString().slice(0, 10)}`, CALL_EXPORT_COLUMNS);
+
+        let cursor = null;
+        let open = true;
+        do {
+            const page = await queryCalls(buildCallFilters({ ...query, cursor }, req.workspace.id), CALL_MAX_PAGE_SIZE);
+            const chunk = page.calls.map(call => formatExportRow(format, CALL_EXPORT_COLUMNS, call)).join('');
+            if (chunk) {
+                open = await writeExportChunk(res, chunk);
             }
+            cursor = page.nextCursor;
+        } while (cursor && open);
+
+        if (open) {
+            res.end();
+        }
+    } catch (error) {
+        // Headers are already sent, so the only signal left is a truncated download
+        console.error('Call export error:', error);
+        res.destroy(error);
+    }
+});
+
+// API endpoint to get a single call with its turns and raw payload
+app.get('/api/calls/:callId', async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT *, (SELECT name FROM contacts WHERE contacts.id = calls.contact_id) AS contact_name
+            FROM calls WHERE id = $1 AND workspace_id = $2
+        `, [req.params.callId, req.workspace.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Call not found' });
+        }
+
+        const turns = await pool.query('SELECT * FROM call_turns WHERE call_id = $1 ORDER BY turn_index', [req.params.callId]);
+        res.json({ call: result.rows[0], turns: turns.rows, tasks: await getCallTasks(req.params.callId) });
+    } catch (error) {
+        console.error('Call query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+// Follow-up helpers
+const CALL_DISPOSITIONS = ['interested', 'callback', 'not_interested', 'wrong_number'];
+
+async function getCallTasks(callId) {
+    const result = await pool.query(`
+        SELECT call_tasks.*, users.name AS assignee_name, users.email AS assignee_email
+        FROM call_tasks
+        LEFT JOIN users ON users.id = call_tasks.assignee_id
+        WHERE call_tasks.call_id = $1
+        ORDER BY call_tasks.status, call_tasks.due_at NULLS LAST, call_tasks.id
+    `, [callId]);
+    return result.rows;
+}
+
+// Send the call, with its disposition and tasks, to every open dashboard of the workspace
+async function broadcastCallFollowUp(workspaceId, callId) {
+    const result = await pool.query(`
+        SELECT *, (SELECT name FROM contacts WHERE contacts.id = calls.contact_id) AS contact_name
+        FROM calls WHERE id = $1
+    `, [callId]);
+    const tasks = await getCallTasks(callId);
+    const call = {
+        ...withoutRawPayload(result.rows[0]),
+        tasks,
+        open_task_count: tasks.filter(task => task.status === 'open').length
+    };
+    broadcastEvent(workspaceId, 'updateCall', call);
+    return call;
+}
+
+// Validate a follow-up task body; throws with a user-facing message
+async function parseTaskInput(workspaceId, body) {
+    const title = String(body.title ?? '').trim();
+    if (!title) {
+        throw new Error('Task title is required');
+    }
+    if (title.length > 255) {
+        throw new Error('Task title must be 255 characters or less');
+    }
+
+    let dueAt = null;
+    if (body.dueAt) {
+        dueAt = new Date(body.dueAt);
+        if (isNaN(dueAt.getTime())) {
+            throw new Error('Due date must be a valid date');
+        }
+    }
+
+    let assigneeId = null;
+    if (body.assigneeId) {
+        assigneeId = parseInt(body.assigneeId, 10);
+        const assignee = await pool.query('SELECT id FROM users WHERE id = $1 AND workspace_id = $2', [assigneeId || 0, workspaceId]);
+        if (assignee.rows.length === 0) {
+            throw new Error('Assignee must be a user in this workspace');
+        }
+    }
+
+    return { title, dueAt, assigneeId };
+}
+
+// API endpoint to set a call's disposition and notes
+app.put('/api/calls/:callId/disposition', requireRole('caller'), async (req, res) => {
+    const disposition = req.body.disposition || null;
+    if (disposition && !CALL_DISPOSITIONS.includes(disposition)) {
+        return res.status(400).json({ error: `Disposition must be one of: ${CALL_DISPOSITIONS.join(', ')}` });
+    }
+    const notes = String(req.body.notes ?? '').trim().substr(0, 10000) || null;
+
+    try {
+        const result = await pool.query(`
+            UPDATE calls SET disposition = $3, notes = $4, disposition_by = $5, disposition_at = NOW()
+            WHERE id = $1 AND workspace_id = $2
+        `, [req.params.callId, req.workspace.id, disposition, notes, req.user.id]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Call not found' });
+        }
+
+        const call = await broadcastCallFollowUp(req.workspace.id, req.params.callId);
+        res.json({ success: true, message: 'Disposition saved', call });
+    } catch (error) {
+        console.error('Call disposition error:', error);
+        res.status(500).json({ error: 'Failed to save disposition' });
+    }
+});
+
+// API endpoint to add a follow-up task to a call
+app.post('/api/calls/:callId/tasks', requireRole('caller'), async (req, res) => {
+    let input;
+    try {
+        input = await parseTaskInput(req.workspace.id, req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const call = await pool.query('SELECT id FROM calls WHERE id = $1 AND workspace_id = $2', [req.params.callId, req.workspace.id]);
+        if (call.rows.length === 0) {
+            return res.status(404).json({ error: 'Call not found' });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO call_tasks (workspace_id, call_id, title, due_at, assignee_id, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [req.workspace.id, req.params.callId, input.title, input.dueAt, input.assigneeId, req.user.id]);
+
+        await broadcastCallFollowUp(req.workspace.id, req.params.callId);
+        res.json({ success: true, message: 'Task added', task: result.rows[0] });
+    } catch (error) {
+        console.error('Call task create error:', error);
+        res.status(500).json({ error: 'Failed to add task' });
+    }
+});
+
+// API endpoint to list follow-up tasks (status: open, done or all; assignee: a user id or "me")
+app.get('/api/tasks', async (req, res) => {
+    try {
+        const conditions = ['call_tasks.workspace_id = $1'];
+        const params = [req.workspace.id];
+
+        const status = req.query.status || 'open';
+        if (status !== 'all') {
+            params.push(status);
+            conditions.push(`call_tasks.status = $${params.length}`);
+        }
+        if (req.query.assignee) {
+            params.push(req.query.assignee === 'me' ? req.user.id : parseInt(req.query.assignee, 10) || 0);
+            conditions.push(`call_tasks.assignee_id = $${params.length}`);
+        }
+
+        const result = await pool.query(`
+            SELECT call_tasks.*, users.name AS assignee_name, users.email AS assignee_email,
+                calls.caller_number, calls.call_type, calls.disposition,
+                (SELECT name FROM contacts WHERE contacts.id = calls.contact_id) AS contact_name
+            FROM call_tasks
+            JOIN calls ON calls.id = call_tasks.call_id
+            LEFT JOIN users ON users.id = call_tasks.assignee_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY call_tasks.due_at NULLS LAST, call_tasks.id
+            LIMIT 500
+        `, params);
+        res.json({ tasks: result.rows });
+    } catch (error) {
+        console.error('Tasks query error:', error);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// API endpoint to edit a follow-up task or mark it done/open
+app.put('/api/tasks/:taskId', requireRole('caller'), async (req, res) => {
+    const status = req.body.status || 'open';
+    if (!['open', 'done'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be open or done' });
+    }
+
+    let input;
+    try {
+        input = await parseTaskInput(req.workspace.id, req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const result = await pool.query(`
+            UPDATE call_tasks
+            SET title = $3, due_at = $4, assignee_id = $5, status = $6,
+                completed_at = CASE WHEN $6::varchar = 'done' THEN COALESCE(completed_at, NOW()) ELSE NULL END
+            WHERE id = $1 AND workspace_id = $2
+            RETURNING *
+        `, [parseInt(req.params.taskId, 10) || 0, req.workspace.id, input.title, input.dueAt, input.assigneeId, status]);
+        const task = result.rows[0];
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        await broadcastCallFollowUp(req.workspace.id, task.call_id);
+        res.json({ success: true, message: status === 'done' ? 'Task completed' : 'Task saved', task });
+    } catch (error) {
+        console.error('Call task update error:', error);
+        res.status(500).json({ error: 'Failed to save task' });
+    }
+});
+
+// API endpoint to delete a follow-up task
+app.delete('/api/tasks/:taskId', requireRole('caller'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM call_tasks WHERE id = $1 AND workspace_id = $2 RETURNING call_id',
+            [parseInt(req.params.taskId, 10) || 0, req.workspace.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Task not found' });
         }
 
-        // Mark batch as completed
-        await pool.query(
-            'UPDATE batches SET status = $1 WHERE id = $2',
-            ['completed', batchId]
-        );
+        await broadcastCallFollowUp(req.workspace.id, result.rows[0].call_id);
+        res.json({ success: true, message: 'Task deleted' });
+    } catch (error) {
+        console.error('Call task delete error:', error);
+        res.status(500).json({ error: 'Failed to delete task' });
+    }
+});
+
+// Report helpers
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
-        // Broadcast batch completion
-        const finalProgress = await getBatchProgress(batchId);
-        io.emit('batchCompleted', {
-            batchId: batchId,
-            progress: finalProgress
-        });
+function formatTurnOffset(seconds) {
+    if (seconds === null || seconds === undefined) return '';
+    const total = Math.floor(Number(seconds));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
 
-        console.log(`🎉 Batch ${batchId} completed!`);
+// Label/value pairs shown at the top of a transcript report
+function getCallReportDetails(call) {
+    const analysis = call.raw_payload?.data?.analysis || {};
+    const details = [
+        ['Call ID', call.id],
+        ['Phone', call.caller_number],
+        ['Type', call.call_type === 'outbound' ? 'Outbound' : 'Inbound'],
+        ['Date', new Date(call.timestamp).toISOString().replace('T', ' ').slice(0, 19) + ' UTC'],
+        ['Duration', formatDuration(call.duration)],
+        ['Status', call.status || 'Unknown']
+    ];
 
-    } catch (error) {
-        console.error(`💥 Batch processing failed for ${batchId}:`, error);
-        
-        // Mark batch as failed
-        await pool.query(
-            'UPDATE batches SET status = $1 WHERE id = $2',
-            ['failed', batchId]
-        );
+    if (analysis.call_successful) {
+        details.push(['Outcome', analysis.call_successful]);
     }
+    if (analysis.transcript_summary) {
+        details.push(['Summary', analysis.transcript_summary]);
+    }
+    return details;
+}
 
-    // Clear current batch
-    currentBatch = null;
-    
-    // Process next batch in queue if any
-    if (batchQueue.length > 0) {
-        const nextBatchId = batchQueue.shift();
-        currentBatch = nextBatchId;
-        processBatch(nextBatchId);
+// Turns for the report; calls stored before structured turns fall back to the flattened text
+function getCallReportTurns(call, turns) {
+    if (turns.length > 0) {
+        return turns
+            .filter(turn => turn.message)
+            .map(turn => ({ speaker: turn.role === 'agent' ? 'Agent' : 'Caller', offset: formatTurnOffset(turn.time_in_call_secs), message: turn.message }));
     }
+
+    return (call.transcript || '').split('\n').filter(Boolean).map(line => {
+        const [speaker, ...rest] = line.split(': ');
+        return { speaker, offset: '', message: rest.join(': ') };
+    });
 }
 
-// Get batch progress
-async function getBatchProgress(batchId) {
-    const result = await pool.query(
-        'SELECT * FROM batches WHERE id = $1',
-        [batchId]
-    );
-    return result.rows[0];
+function buildCallReportHtml(call, turns) {
+    const details = getCallReportDetails(call);
+    const reportTurns = getCallReportTurns(call, turns);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Call report - ${escapeHtml(call.caller_number)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, system-ui, sans-serif; max-width: 760px; margin: 32px auto; color: #1e293b; }
+        h1 { font-size: 22px; }
+        table { border-collapse: collapse; margin-bottom: 24px; }
+        td { padding: 4px 16px 4px 0; vertical-align: top; }
+        td:first-child { font-weight: 600; color: #4f46e5; }
+        .turn { margin-bottom: 10px; }
+        .speaker { font-weight: 600; }
+        .offset { color: #64748b; font-size: 12px; margin-left: 6px; }
+        .message { white-space: pre-wrap; }
+    </style>
+</head>
+<body>
+    <h1>Call Transcript Report</h1>
+    <table>
+        ${details.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n        ')}
+    </table>
+    <h2>Transcript</h2>
+    ${reportTurns.length === 0 ? '<p>No transcript available</p>' : reportTurns.map(turn => `
+    <div class="turn">
+        <span class="speaker">${escapeHtml(turn.speaker)}</span><span class="offset">${escapeHtml(turn.offset)}</span>
+        <div class="message">${escapeHtml(turn.message)}</div>
+    </div>`).join('')}
+</body>
+</html>`;
 }
 
-// Parse CSV content
-function parseCSV(csvContent) {
-    const lines = csvContent.trim().split('\n');
-    const phoneNumbers = [];
-    
-    // Skip header row if it exists
-    const startIndex = lines[0].toLowerCase().includes('phone') ? 1 : 0;
-    
-    for (let i = startIndex; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (line) {
-            // Extract phone number (first column)
-            const phoneNumber = line.split(',')[0].trim().replace(/['"]/g, '');
-            if (phoneNumber && phoneNumber.length >= 10) {
-                phoneNumbers.push(phoneNumber);
-            }
+// Minimal text-only PDF (Helvetica, US Letter); lines are strings or { text, bold }
+function buildTextPdf(lines) {
+    const pageHeight = 792;
+    const margin = 54;
+    const leading = 14;
+    const linesPerPage = Math.floor((pageHeight - margin * 2) / leading);
+    const maxChars = 95;
+
+    // Wrap long lines on word boundaries
+    const wrapped = [];
+    for (const line of lines) {
+        const { text, bold } = typeof line === 'string' ? { text: line, bold: false } : line;
+        let remaining = text.replace(/\s+/g, ' ').trim();
+        if (!remaining) {
+            wrapped.push({ text: '', bold });
+            continue;
         }
+        while (remaining.length > maxChars) {
+            let breakAt = remaining.lastIndexOf(' ', maxChars);
+            if (breakAt <= 0) breakAt = maxChars;
+            wrapped.push({ text: remaining.slice(0, breakAt), bold });
+            remaining = remaining.slice(breakAt).trim();
+        }
+        wrapped.push({ text: remaining, bold });
     }
-    
-    return phoneNumbers;
-}
 
-// Serve the main HTML page
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+    // Only Latin-1 survives the standard fonts' encoding
+    const escapePdfText = text => text
+        .replace(/[‘’]/g, "'")
+        .replace(/[“”]/g, '"')
+        .replace(/[–—]/g, '-')
+        .replace(/[^\x20-\xFF]/g, '?')
+        .replace(/[\\()]/g, match => `\\${match}`);
 
-// API endpoint to initiate single outbound call
-app.post('/api/calls/initiate', async (req, res) => {
-    const { phoneNumber } = req.body;
-    
-    if (!phoneNumber) {
-        return res.status(400).json({ error: 'Phone number is required' });
+    const pages = [];
+    for (let i = 0; i < Math.max(wrapped.length, 1); i += linesPerPage) {
+        pages.push(wrapped.slice(i, i + linesPerPage));
     }
 
-    // Validate phone number format
-    const phoneRegex = /^[\+]?[1-9][\d\s\-\(\)\.]{7,15}$/;
-    const cleanedPhone = phoneNumber.replace(/[\s\-\(\)\.]/g, '');
-    
-    if (!phoneRegex.test(cleanedPhone)) {
-        return res.status(400).json({ error: 'Invalid phone number format' });
+    const objects = [];
+    const fontObject = 3;
+    const boldFontObject = 4;
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[fontObject] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[boldFontObject] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    const pageRefs = [];
+    pages.forEach((pageLines, index) => {
+        const pageObject = 5 + index * 2;
+        const contentObject = pageObject + 1;
+        const content = [
+            'BT',
+            `${leading} TL`,
+            `${margin} ${pageHeight - margin} Td`,
+            ...pageLines.map(line => `/${line.bold ? 'F2' : 'F1'} 10 Tf (${escapePdfText(line.text)}) Tj T*`),
+            'ET'
+        ].join('\n');
+
+        pageRefs.push(`${pageObject} 0 R`);
+        objects[pageObject] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 ${pageHeight}] ` +
+            `/Resources << /Font << /F1 ${fontObject} 0 R /F2 ${boldFontObject} 0 R >> >> /Contents ${contentObject} 0 R >>`;
+        objects[contentObject] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+    objects[2] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pages.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let i = 1; i < objects.length; i++) {
+        offsets[i] = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${i} 0 obj\n${objects[i]}\nendobj\n`;
     }
 
-    // Format phone number
-    let formattedPhone = cleanedPhone;
-    if (!formattedPhone.startsWith('+')) {
-        if (formattedPhone.length === 10) {
-            formattedPhone = '+1' + formattedPhone;
-        } else if (formattedPhone.length === 11 && formattedPhone.startsWith('1')) {
-            formattedPhone = '+' + formattedPhone;
-        } else {
-            return res.status(400).json({ error: 'Please include country code (e.g., +1 for US numbers)' });
-        }
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let i = 1; i < objects.length; i++) {
+        pdf += `${String(offsets[i]).padStart(10, '0')} 00000 n \n`;
     }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
 
-    try {
-        const callResult = await initiateOutboundCall(formattedPhone);
-        
-        const callData = {
-            id: `outbound-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-            timestamp: new Date().toISOString(),
-            caller_number: formattedPhone,
-            called_number: 'Agent',
-            duration: 0,
-            status: 'initiated',
-            call_type: 'outbound',
-            transcript: '',
-            conversation_id: callResult.conversation_id
-        };
+    return Buffer.from(pdf, 'latin1');
+}
 
-        await pool.query(`
-            INSERT INTO calls (id, timestamp, caller_number, called_number, duration, status, call_type, transcript, conversation_id)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        `, [callData.id, callData.timestamp, callData.caller_number, callData.called_number, 
-            callData.duration, callData.status, callData.call_type, callData.transcript, callData.conversation_id]);
+function buildCallReportPdf(call, turns) {
+    const lines = [{ text: 'Call Transcript Report', bold: true }, ''];
+    getCallReportDetails(call).forEach(([label, value]) => lines.push(`${label}: ${value ?? ''}`));
+    lines.push('', { text: 'Transcript', bold: true }, '');
 
-        io.emit('newCall', callData);
+    const reportTurns = getCallReportTurns(call, turns);
+    if (reportTurns.length === 0) {
+        lines.push('No transcript available');
+    }
+    reportTurns.forEach(turn => {
+        lines.push({ text: `${turn.speaker}${turn.offset ? ` (${turn.offset})` : ''}`, bold: true });
+        lines.push(turn.message, '');
+    });
 
-        res.json({ 
-            success: true, 
-            message: 'Call initiated successfully',
-            callId: callData.id,
-            conversationId: callResult.conversation_id
-        });
+    return buildTextPdf(lines);
+}
 
-    } catch (error) {
-        console.error('Failed to initiate call:', error);
-        res.status(500).json({ 
-            error: 'Failed to initiate call', 
-            details: error.message 
-        });
+// API endpoint to download a single call's transcript as an HTML or PDF report
+app.get('/api/calls/:callId/report', async (req, res) => {
+    const format = req.query.format || 'html';
+    if (!['html', 'pdf'].includes(format)) {
+        return res.status(400).json({ error: 'format must be html or pdf' });
     }
-});
 
-// API endpoint to upload CSV and create batch
-app.post('/api/batch/upload', upload.single('csvFile'), async (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No CSV file uploaded' });
+        const result = await pool.query('SELECT * FROM calls WHERE id = $1 AND workspace_id = $2', [req.params.callId, req.workspace.id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Call not found' });
         }
 
-        const csvContent = req.file.buffer.toString('utf-8');
-        const phoneNumbers = parseCSV(csvContent);
+        const call = result.rows[0];
+        const turns = await pool.query('SELECT * FROM call_turns WHERE call_id = $1 ORDER BY turn_index', [call.id]);
+        const filename = `call-${call.id.replace(/[^a-zA-Z0-9-]/g, '')}.${format}`;
 
-        if (phoneNumbers.length === 0) {
-            return res.status(400).json({ error: 'No valid phone numbers found in CSV' });
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'pdf') {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.send(buildCallReportPdf(call, turns.rows));
+        } else {
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.send(buildCallReportHtml(call, turns.rows));
         }
+    } catch (error) {
+        console.error('Call report error:', error);
+        res.status(500).json({ error: 'Failed to build call report' });
+    }
+});
 
-        // Create batch record
-        const batchId = `batch-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        const batchName = req.body.batchName || `Batch ${new Date().toLocaleDateString()}`;
 
-        await pool.query(
-            'INSERT INTO batches (id, name, total_calls) VALUES ($1, $2, $3)',
-            [batchId, batchName, phoneNumbers.length]
+// API endpoint to run the outbound call reconciler now for the current workspace
+app.post('/api/calls/reconcile', requireRole('admin'), async (req, res) => {
+    if (!req.workspace.elevenlabs_api_key) {
+        return res.status(400).json({ error: 'No ElevenLabs API key is configured for this workspace' });
+    }
+
+    const result = await reconcileOutboundCalls(req.workspace.id);
+    res.json({ success: true, ...result });
+});
+
+// API endpoint to rebuild a call's transcript and turns from its stored payload
+app.post('/api/calls/:callId/reprocess', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT id, raw_payload FROM calls WHERE id = $1 AND workspace_id = $2',
+            [req.params.callId, req.workspace.id]
         );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Call not found' });
+        }
 
-        // Create batch call records
-        for (const phoneNumber of phoneNumbers) {
-            const batchCallId = `bc-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-            await pool.query(
-                'INSERT INTO batch_calls (id, batch_id, phone_number) VALUES ($1, $2, $3)',
-                [batchCallId, batchId, phoneNumber]
-            );
+        const payload = result.rows[0].raw_payload;
+        if (!Array.isArray(payload?.data?.transcript)) {
+            return res.status(400).json({ error: 'This call has no stored transcript payload' });
         }
 
-        res.json({
-            success: true,
-            message: `Batch created with ${phoneNumbers.length} phone numbers`,
-            batchId: batchId,
-            totalCalls: phoneNumbers.length
-        });
+        await storeCallPayload(req.params.callId, payload);
+        const updated = await pool.query(
+            'UPDATE calls SET transcript = $2 WHERE id = $1 RETURNING *',
+            [req.params.callId, formatTranscript(payload.data.transcript)]
+        );
 
+        broadcastEvent(req.workspace.id, 'updateCall', withoutRawPayload(updated.rows[0]));
+        await tagCall(req.workspace.id, req.params.callId, payload.data.transcript);
+        res.json({ success: true, message: 'Call reprocessed' });
     } catch (error) {
-        console.error('Batch upload error:', error);
-        res.status(500).json({ error: 'Failed to process CSV file' });
+        console.error('Call reprocess error:', error);
+        res.status(500).json({ error: 'Failed to reprocess call' });
     }
 });
 
-// API endpoint to start batch processing
-app.post('/api/batch/:batchId/start', async (req, res) => {
-    const { batchId } = req.params;
+// Analytics helpers
+const ANALYTICS_DEFAULT_DAYS = 7;
+const ANALYTICS_MAX_DAYS = 366;
+const ANALYTICS_MAX_HOURLY_DAYS = 14;
 
-    try {
-        // Check if batch exists
-        const batch = await pool.query('SELECT * FROM batches WHERE id = $1', [batchId]);
-        if (batch.rows.length === 0) {
-            return res.status(404).json({ error: 'Batch not found' });
-        }
+// Answered means someone actually talked to the agent; failed covers dialer-level failures
+const ANSWERED_CALL_SQL = "status IN ('completed', 'answered', 'completed-conversation') AND COALESCE(duration, 0) > 0";
+const FAILED_CALL_SQL = "(status ILIKE '%fail%' OR status IN ('busy', 'no-answer', 'no_answer', 'voicemail', 'timed-out'))";
 
-        if (batch.rows[0].status !== 'pending') {
-            return res.status(400).json({ error: 'Batch has already been processed' });
-        }
+// Current and previous period (same length, immediately before); throws on invalid input
+function parseAnalyticsRange(query) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - ANALYTICS_DEFAULT_DAYS * 86400000);
 
-        // Add to queue or start immediately
-        if (currentBatch === null) {
-            currentBatch = batchId;
-            processBatch(batchId);
-        } else {
-            batchQueue.push(batchId);
-        }
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        throw new Error('from and to must be valid dates');
+    }
+    if (from >= to) {
+        throw new Error('from must be before to');
+    }
 
-        res.json({ 
-            success: true, 
-            message: currentBatch === batchId ? 'Batch processing started' : 'Batch added to queue'
-        });
+    const lengthMs = to.getTime() - from.getTime();
+    if (lengthMs > ANALYTICS_MAX_DAYS * 86400000) {
+        throw new Error(`Date range cannot be longer than ${ANALYTICS_MAX_DAYS} days`);
+    }
 
-    } catch (error) {
-        console.error('Batch start error:', error);
-        res.status(500).json({ error: 'Failed to start batch processing' });
+    const interval = query.interval || 'day';
+    if (!['hour', 'day'].includes(interval)) {
+        throw new Error('interval must be hour or day');
+    }
+    if (interval === 'hour' && lengthMs > ANALYTICS_MAX_HOURLY_DAYS * 86400000) {
+        throw new Error(`Hourly intervals are limited to ${ANALYTICS_MAX_HOURLY_DAYS} days`);
     }
-});
 
-// API endpoint to get batch status
-app.get('/api/batch/:batchId', async (req, res) => {
-    const { batchId } = req.params;
+    const timeZone = query.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(timeZone)) {
+        throw new Error(`Unknown time zone "${timeZone}"`);
+    }
 
-    try {
-        const batch = await pool.query('SELECT * FROM batches WHERE id = $1', [batchId]);
-        if (batch.rows.length === 0) {
-            return res.status(404).json({ error: 'Batch not found' });
-        }
+    return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        previousFrom: new Date(from.getTime() - lengthMs).toISOString(),
+        previousTo: from.toISOString(),
+        interval,
+        timeZone
+    };
+}
 
-        const calls = await pool.query(
-            'SELECT * FROM batch_calls WHERE batch_id = $1 ORDER BY created_at',
-            [batchId]
-        );
+function toRate(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
 
-        res.json({
-            batch: batch.rows[0],
-            calls: calls.rows
-        });
+function toSeconds(value) {
+    return value === null ? 0 : Math.round(Number(value));
+}
 
-    } catch (error) {
-        console.error('Batch status error:', error);
-        res.status(500).json({ error: 'Failed to get batch status' });
-    }
-});
+async function getCallSummary(workspaceId, from, to) {
+    const result = await pool.query(`
+        SELECT
+            COUNT(*) AS total_calls,
+            COUNT(*) FILTER (WHERE COALESCE(call_type, 'inbound') = 'inbound') AS inbound_calls,
+            COUNT(*) FILTER (WHERE call_type = 'outbound') AS outbound_calls,
+            COUNT(*) FILTER (WHERE COALESCE(transcript, '') <> '') AS transcript_calls,
+            COUNT(*) FILTER (WHERE ${ANSWERED_CALL_SQL}) AS answered_calls,
+            COUNT(*) FILTER (WHERE ${FAILED_CALL_SQL}) AS failed_calls,
+            AVG(duration) FILTER (WHERE duration > 0) AS avg_duration,
+            percentile_cont(0.5) WITHIN GROUP (ORDER BY duration) FILTER (WHERE duration > 0) AS p50_duration,
+            percentile_cont(0.9) WITHIN GROUP (ORDER BY duration) FILTER (WHERE duration > 0) AS p90_duration,
+            percentile_cont(0.95) WITHIN GROUP (ORDER BY duration) FILTER (WHERE duration > 0) AS p95_duration
+        FROM calls
+        WHERE timestamp >= $1 AND timestamp < $2 AND workspace_id = $3
+    `, [from, to, workspaceId]);
 
-// API endpoint to get all batches
-app.get('/api/batches', async (req, res) => {
+    const row = result.rows[0];
+    const totalCalls = Number(row.total_calls);
+
+    return {
+        totalCalls,
+        inboundCalls: Number(row.inbound_calls),
+        outboundCalls: Number(row.outbound_calls),
+        transcriptCalls: Number(row.transcript_calls),
+        answeredCalls: Number(row.answered_calls),
+        failedCalls: Number(row.failed_calls),
+        answerRate: toRate(Number(row.answered_calls), totalCalls),
+        failureRate: toRate(Number(row.failed_calls), totalCalls),
+        avgDuration: toSeconds(row.avg_duration),
+        p50Duration: toSeconds(row.p50_duration),
+        p90Duration: toSeconds(row.p90_duration),
+        p95Duration: toSeconds(row.p95_duration)
+    };
+}
+
+async function getBatchSummary(workspaceId, from, to) {
+    const result = await pool.query(`
+        SELECT
+            COUNT(*) AS batches,
+            COALESCE(SUM(total_calls), 0) AS total_calls,
+            COALESCE(SUM(successful_calls), 0) AS successful_calls,
+            COALESCE(SUM(failed_calls), 0) AS failed_calls,
+            COALESCE(SUM(skipped_calls), 0) AS skipped_calls
+        FROM batches
+        WHERE created_at >= $1 AND created_at < $2 AND workspace_id = $3
+    `, [from, to, workspaceId]);
+
+    const row = result.rows[0];
+    const successfulCalls = Number(row.successful_calls);
+    const failedCalls = Number(row.failed_calls);
+
+    return {
+        batches: Number(row.batches),
+        totalCalls: Number(row.total_calls),
+        successfulCalls,
+        failedCalls,
+        skippedCalls: Number(row.skipped_calls),
+        conversionRate: toRate(successfulCalls, successfulCalls + failedCalls)
+    };
+}
+
+// API endpoint for call and batch analytics over a date range, compared with the previous period
+// Query params: from, to, interval (hour|day), timezone
+app.get('/api/analytics', async (req, res) => {
+    let range;
     try {
-        const result = await pool.query('SELECT * FROM batches ORDER BY created_at DESC LIMIT 10');
-        res.json({ batches: result.rows });
+        range = parseAnalyticsRange(req.query);
     } catch (error) {
-        console.error('Batches query error:', error);
-        res.status(500).json({ error: 'Database error' });
+        return res.status(400).json({ error: error.message });
     }
-});
 
-// Webhook endpoint - ElevenLabs will POST here
-app.post('/webhook', async (req, res) => {
-    console.log('Webhook received from ElevenLabs');
-    
-    const webhookData = req.body;
-    
-    // Extract transcript from the webhook
-    let transcript = '';
-    if (webhookData.data?.transcript && Array.isArray(webhookData.data.transcript)) {
-        transcript = webhookData.data.transcript
-            .map(turn => `${turn.role === 'agent' ? 'Agent' : 'Caller'}: ${turn.message}`)
-            .join('\n');
-    }
-    
-    // Extract call data
-    const callData = {
-        id: webhookData.data?.conversation_id || Date.now().toString(),
-        timestamp: new Date().toISOString(),
-        caller_number: webhookData.data?.metadata?.phone_call?.external_number || 
-                      webhookData.data?.conversation_initiation_client_data?.dynamic_variables?.system__caller_id || 
-                      'Unknown',
-        called_number: webhookData.data?.metadata?.phone_call?.agent_number || 
-                      webhookData.data?.conversation_initiation_client_data?.dynamic_variables?.system__called_number || 
-                      'Unknown',
-        duration: webhookData.data?.metadata?.call_duration_secs || 
-                 webhookData.data?.conversation_initiation_client_data?.dynamic_variables?.system__call_duration_secs || 
-                 0,
-        status: 'completed',
-        call_type: 'inbound',
-        transcript: transcript || '',
-        conversation_id: webhookData.data?.conversation_id
-    };
-    
     try {
-        // Check if this is an outbound call we initiated
-        const outboundCall = await pool.query(
-            'SELECT * FROM calls WHERE conversation_id = $1 AND call_type = $2', 
-            [callData.conversation_id, 'outbound']
-        );
-        
-        if (outboundCall.rows.length > 0) {
-            // Update existing outbound call
-            await pool.query(`
-                UPDATE calls 
-                SET duration = $2, status = $3, transcript = $4, timestamp = $5
-                WHERE conversation_id = $1 AND call_type = 'outbound'
-            `, [callData.conversation_id, callData.duration, callData.status, callData.transcript, callData.timestamp]);
-            
-            const updatedCall = await pool.query('SELECT * FROM calls WHERE conversation_id = $1 AND call_type = $2', [callData.conversation_id, 'outbound']);
-            if (updatedCall.rows.length > 0) {
-                io.emit('updateCall', updatedCall.rows[0]);
-            }
-        } else {
-            // Handle inbound call
-            const existingCall = await pool.query('SELECT id FROM calls WHERE id = $1', [callData.id]);
-            
-            if (existingCall.rows.length > 0) {
-                await pool.query(`
-                    UPDATE calls 
-                    SET caller_number = COALESCE(NULLIF($2, 'Unknown'), caller_number),
-                        called_number = COALESCE(NULLIF($3, 'Unknown'), called_number),
-                        duration = GREATEST($4, duration),
-                        transcript = CASE WHEN LENGTH($5) > LENGTH(COALESCE(transcript, '')) THEN $5 ELSE transcript END,
-                        conversation_id = COALESCE($6, conversation_id)
-                    WHERE id = $1
-                `, [callData.id, callData.caller_number, callData.called_number, callData.duration, callData.transcript, callData.conversation_id]);
-                
-                const updatedCall = await pool.query('SELECT * FROM calls WHERE id = $1', [callData.id]);
-                io.emit('updateCall', updatedCall.rows[0]);
-            } else {
-                if (callData.caller_number !== 'Unknown' || callData.duration > 0 || callData.transcript) {
-                    await pool.query(`
-                        INSERT INTO calls (id, timestamp, caller_number, called_number, duration, status, call_type, transcript, conversation_id)
-                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-                    `, [callData.id, callData.timestamp, callData.caller_number, callData.called_number, 
-                        callData.duration, callData.status, callData.call_type, callData.transcript, callData.conversation_id]);
-                    
-                    await sendCallNotification(callData);
-                    io.emit('newCall', callData);
-                }
-            }
-        }
+        const { from, to, previousFrom, previousTo, interval, timeZone } = range;
+
+        // Buckets are in the viewer's time zone; empty buckets are kept so charts have no gaps
+        const series = await pool.query(`
+            SELECT
+                to_char(bucket, 'YYYY-MM-DD"T"HH24:MI') AS bucket,
+                COUNT(calls.id) AS total_calls,
+                COUNT(calls.id) FILTER (WHERE COALESCE(calls.call_type, 'inbound') = 'inbound') AS inbound_calls,
+                COUNT(calls.id) FILTER (WHERE calls.call_type = 'outbound') AS outbound_calls,
+                COUNT(calls.id) FILTER (WHERE ${ANSWERED_CALL_SQL}) AS answered_calls,
+                COUNT(calls.id) FILTER (WHERE ${FAILED_CALL_SQL}) AS failed_calls,
+                AVG(calls.duration) FILTER (WHERE calls.duration > 0) AS avg_duration
+            FROM generate_series(
+                date_trunc($3, $1::timestamptz AT TIME ZONE $4),
+                date_trunc($3, ($2::timestamptz - INTERVAL '1 second') AT TIME ZONE $4),
+                ('1 ' || $3)::interval
+            ) AS bucket
+            LEFT JOIN calls
+                ON date_trunc($3, calls.timestamp AT TIME ZONE $4) = bucket
+                AND calls.timestamp >= $1 AND calls.timestamp < $2
+                AND calls.workspace_id = $5
+            GROUP BY bucket
+            ORDER BY bucket
+        `, [from, to, interval, timeZone, req.workspace.id]);
+
+        const hourOfDay = await pool.query(`
+            SELECT
+                EXTRACT(HOUR FROM timestamp AT TIME ZONE $3)::int AS hour,
+                COUNT(*) FILTER (WHERE COALESCE(call_type, 'inbound') = 'inbound') AS inbound_calls,
+                COUNT(*) FILTER (WHERE call_type = 'outbound') AS outbound_calls
+            FROM calls
+            WHERE timestamp >= $1 AND timestamp < $2 AND workspace_id = $4
+            GROUP BY hour
+        `, [from, to, timeZone, req.workspace.id]);
+
+        const batchList = await pool.query(`
+            SELECT id, name, status, created_at, total_calls, successful_calls, failed_calls, skipped_calls
+            FROM batches
+            WHERE created_at >= $1 AND created_at < $2 AND workspace_id = $3
+            ORDER BY created_at DESC
+            LIMIT 20
+        `, [from, to, req.workspace.id]);
+
+        const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, inboundCalls: 0, outboundCalls: 0 }));
+        hourOfDay.rows.forEach(row => {
+            byHour[row.hour].inboundCalls = Number(row.inbound_calls);
+            byHour[row.hour].outboundCalls = Number(row.outbound_calls);
+        });
+
+        res.json({
+            range,
+            summary: await getCallSummary(req.workspace.id, from, to),
+            previousSummary: await getCallSummary(req.workspace.id, previousFrom, previousTo),
+            batches: await getBatchSummary(req.workspace.id, from, to),
+            previousBatches: await getBatchSummary(req.workspace.id, previousFrom, previousTo),
+            series: series.rows.map(row => ({
+                bucket: row.bucket,
+                totalCalls: Number(row.total_calls),
+                inboundCalls: Number(row.inbound_calls),
+                outboundCalls: Number(row.outbound_calls),
+                answeredCalls: Number(row.answered_calls),
+                failedCalls: Number(row.failed_calls),
+                avgDuration: toSeconds(row.avg_duration)
+            })),
+            byHourOfDay: byHour,
+            batchBreakdown: batchList.rows.map(batch => ({
+                ...batch,
+                conversion_rate: toRate(batch.successful_calls, batch.successful_calls + batch.failed_calls)
+            }))
+        });
     } catch (error) {
-        console.error('Database error:', error);
+        console.error('Analytics query error:', error);
+        res.status(500).json({ error: 'Database error' });
     }
-    
-    res.status(200).json({ success: true, message: 'Webhook received' });
 });
 
-// API endpoint to get call history
-app.get('/api/calls', async (req, res) => {
+// API endpoint to review rejected webhook attempts (rejections can't always be tied to a workspace)
+app.get('/api/webhook/audit', requirePlatformAdmin, async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM calls ORDER BY timestamp DESC LIMIT 50');
-        res.json({ calls: result.rows });
+        const limit = clampNumber(req.query.limit, 1, 500, 100);
+        const result = await pool.query('SELECT * FROM webhook_audit_log ORDER BY received_at DESC LIMIT $1', [limit]);
+        res.json({ entries: result.rows });
     } catch (error) {
-        console.error('Database query error:', error);
+        console.error('Webhook audit query error:', error);
         res.status(500).json({ error: 'Database error' });
     }
 });
@@ -692,14 +6592,20 @@ app.get('/api/calls', async (req, res) => {
 app.get('/health', async (req, res) => {
     try {
         const result = await pool.query('SELECT COUNT(*) FROM calls');
+        const queued = await pool.query("SELECT COUNT(*) FROM batches WHERE status = 'queued'");
+        const workspaces = await pool.query('SELECT COUNT(*) FROM workspaces');
+        // Credentials are reported for the default workspace
+        const workspace = await getDefaultWorkspace();
         res.json({ 
             status: 'healthy', 
             uptime: process.uptime(),
             callCount: result.rows[0].count,
+            workspaceCount: parseInt(workspaces.rows[0].count, 10),
             emailNotifications: emailConfig.enabled,
-            elevenLabsConfigured: !!(ELEVENLABS_API_KEY && ELEVENLABS_AGENT_ID && ELEVENLABS_PHONE_NUMBER_ID),
-            currentBatch: currentBatch,
-            queueLength: batchQueue.length,
+            elevenLabsConfigured: !!(workspace?.elevenlabs_api_key && (await resolveAgent(workspace))?.phone_number_id),
+            webhookSignatureVerification: !!workspace?.elevenlabs_webhook_secret,
+            runningBatches: runningBatches.size,
+            queueLength: parseInt(queued.rows[0].count, 10),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -712,15 +6618,16 @@ app.get('/health', async (req, res) => {
 });
 
 // Test ElevenLabs API connection
-app.get('/test-elevenlabs', async (req, res) => {
+app.get('/test-elevenlabs', requireAuth, requireRole('admin'), async (req, res) => {
+    const workspace = req.workspace;
     try {
-        if (!ELEVENLABS_API_KEY) {
+        if (!workspace.elevenlabs_api_key) {
             return res.status(400).json({ 
-                error: 'ELEVENLABS_API_KEY not configured',
+                error: 'No ElevenLabs API key is configured for this workspace',
                 configured: {
                     apiKey: false,
-                    agentId: !!ELEVENLABS_AGENT_ID,
-                    phoneNumberId: !!ELEVENLABS_PHONE_NUMBER_ID
+                    agentId: !!workspace.elevenlabs_agent_id,
+                    phoneNumberId: !!workspace.elevenlabs_phone_number_id
                 }
             });
         }
@@ -728,7 +6635,7 @@ app.get('/test-elevenlabs', async (req, res) => {
         // Test API key by making a simple request to get voice models
         const response = await fetch('https://api.elevenlabs.io/v1/models', {
             headers: {
-                'xi-api-key': ELEVENLABS_API_KEY
+                'xi-api-key': workspace.elevenlabs_api_key
             }
         });
 
@@ -739,9 +6646,9 @@ app.get('/test-elevenlabs', async (req, res) => {
                 status: response.status,
                 details: errorData,
                 configured: {
-                    apiKey: !!ELEVENLABS_API_KEY,
-                    agentId: !!ELEVENLABS_AGENT_ID,
-                    phoneNumberId: !!ELEVENLABS_PHONE_NUMBER_ID
+                    apiKey: !!workspace.elevenlabs_api_key,
+                    agentId: !!workspace.elevenlabs_agent_id,
+                    phoneNumberId: !!workspace.elevenlabs_phone_number_id
                 }
             });
         }
@@ -752,8 +6659,8 @@ app.get('/test-elevenlabs', async (req, res) => {
             message: 'ElevenLabs API connection successful',
             configured: {
                 apiKey: true,
-                agentId: !!ELEVENLABS_AGENT_ID,
-                phoneNumberId: !!ELEVENLABS_PHONE_NUMBER_ID
+                agentId: !!workspace.elevenlabs_agent_id,
+                phoneNumberId: !!workspace.elevenlabs_phone_number_id
             },
             availableModels: data.length || 0
         });
@@ -763,16 +6670,16 @@ app.get('/test-elevenlabs', async (req, res) => {
             error: 'Failed to test ElevenLabs API',
             details: error.message,
             configured: {
-                apiKey: !!ELEVENLABS_API_KEY,
-                agentId: !!ELEVENLABS_AGENT_ID,
-                phoneNumberId: !!ELEVENLABS_PHONE_NUMBER_ID
+                apiKey: !!workspace.elevenlabs_api_key,
+                agentId: !!workspace.elevenlabs_agent_id,
+                phoneNumberId: !!workspace.elevenlabs_phone_number_id
             }
         });
     }
 });
 
 // Test email endpoint
-app.post('/test-email', async (req, res) => {
+app.post('/test-email', requireAuth, requireRole('admin'), async (req, res) => {
     const testCallData = {
         id: 'test-' + Date.now(),
         timestamp: new Date().toISOString(),
@@ -784,25 +6691,47 @@ app.post('/test-email', async (req, res) => {
         transcript: 'This is a test call to verify email notifications are working properly.'
     };
     
+    const recipient = req.workspace.notification_email || req.user.email;
+
     try {
-        await sendCallNotification(testCallData);
-        res.json({ success: true, message: 'Test email sent successfully' });
+        const context = { ...buildCallNotificationContext(testCallData), workspace: toWorkspaceBranding(req.workspace) };
+        await sendEmailNotification(req.workspace, recipient, renderNotification({ name: 'Test email' }, 'call.completed', context));
+        res.json({ success: true, message: `Test email sent to ${recipient}` });
     } catch (error) {
         console.error('Test email failed:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// Authenticate socket connections before any call history is sent
+io.use(async (socket, next) => {
+    try {
+        socket.user = await getUserForToken(getSessionToken(socket.handshake.headers, socket.handshake.auth));
+    } catch (error) {
+        console.error('Socket session lookup error:', error);
+        return next(new Error('Authentication failed'));
+    }
+
+    if (!socket.user) {
+        return next(new Error('Authentication required'));
+    }
+    next();
+});
+
 // Socket.io connection handling
 io.on('connection', async (socket) => {
-    console.log('Client connected');
+    console.log(`Client connected (${socket.user.email})`);
+
+    // Dashboards only receive their own workspace's events
+    const workspaceId = socket.user.workspace_id;
+    socket.join(getWorkspaceRoom(workspaceId));
+    socket.join(getUserRoom(socket.user.id));
     
     try {
-        const result = await pool.query('SELECT * FROM calls ORDER BY timestamp DESC LIMIT 50');
-        socket.emit('callHistory', result.rows);
+        socket.emit('callHistory', await queryCalls(buildCallFilters({}, workspaceId)));
         
         // Send current batches
-        const batches = await pool.query('SELECT * FROM batches ORDER BY created_at DESC LIMIT 5');
+        const batches = await pool.query('SELECT * FROM batches WHERE workspace_id = $1 ORDER BY created_at DESC LIMIT 5', [workspaceId]);
         socket.emit('batchHistory', batches.rows);
     } catch (error) {
         console.error('Error sending call history:', error);
@@ -815,20 +6744,48 @@ io.on('connection', async (socket) => {
 
 const PORT = process.env.PORT || 3000;
 
-server.listen(PORT, () => {
-    console.log(`✅ ElevenLabs Webhook Server running on port ${PORT}`);
-    console.log(`📡 Webhook endpoint: http://localhost:${PORT}/webhook`);
-    console.log(`📊 Dashboard: http://localhost:${PORT}`);
-    console.log(`🏥 Health check: http://localhost:${PORT}/health`);
-    console.log(`📞 Initiate call: POST http://localhost:${PORT}/api/calls/initiate`);
-    console.log(`📁 Batch upload: POST http://localhost:${PORT}/api/batch/upload`);
-    console.log(`🧪 Test email: POST http://localhost:${PORT}/test-email`);
-    console.log(`\n🎯 Configure this webhook URL in your ElevenLabs agent settings:`);
-    console.log(`   ${process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`}/webhook`);
-    console.log(`🗃️ Database: ${process.env.DATABASE_URL ? 'Connected' : 'Local/Test mode'}`);
-    console.log(`📧 Email notifications: ${emailConfig.enabled ? 'Enabled (inbound only)' : 'Disabled'}`);
-    console.log(`🤖 ElevenLabs API: ${ELEVENLABS_API_KEY && ELEVENLABS_AGENT_ID && ELEVENLABS_PHONE_NUMBER_ID ? 'Configured' : 'Not configured'}`);
-    if (!ELEVENLABS_API_KEY || !ELEVENLABS_AGENT_ID || !ELEVENLABS_PHONE_NUMBER_ID) {
-        console.log(`⚠️  Set ELEVENLABS_API_KEY, ELEVENLABS_AGENT_ID, and ELEVENLABS_PHONE_NUMBER_ID environment variables to enable outbound calling`);
-    }
-});
+// Run the background jobs and listen only when started directly; the tests require the module instead
+if (require.main === module) {
+    initializeDatabase()
+        .then(bootstrapAdminUser)
+        .then(recoverBatchQueue)
+        .then(recoverNotificationDeliveries)
+        .then(recoverWebhookDeliveries)
+        .then(recoverScheduledCalls)
+        .then(() => {
+            setInterval(promoteScheduledBatches, BATCH_SCHEDULER_INTERVAL);
+            setInterval(processScheduledCalls, SCHEDULED_CALL_INTERVAL);
+            setInterval(processNotificationDeliveries, NOTIFICATION_RETRY_INTERVAL);
+            setInterval(processWebhookDeliveries, NOTIFICATION_RETRY_INTERVAL);
+            setInterval(reconcileOutboundCalls, RECONCILE_INTERVAL);
+            setInterval(pruneWebhookEvents, 60 * 60 * 1000);
+            setInterval(pruneEventLog, 60 * 60 * 1000);
+        });
+
+    server.listen(PORT, () => {
+        console.log(`✅ ElevenLabs Webhook Server running on port ${PORT}`);
+        console.log(`📡 Webhook endpoint: http://localhost:${PORT}/webhook/<workspace slug>`);
+        console.log(`📊 Dashboard: http://localhost:${PORT}`);
+        console.log(`🏥 Health check: http://localhost:${PORT}/health`);
+        console.log(`📞 Initiate call: POST http://localhost:${PORT}/api/calls/initiate`);
+        console.log(`📁 Batch upload: POST http://localhost:${PORT}/api/batch/upload`);
+        console.log(`📅 Schedule call: POST http://localhost:${PORT}/api/scheduled-calls`);
+        console.log(`🧪 Test email: POST http://localhost:${PORT}/test-email`);
+        console.log(`\n🎯 Configure this webhook URL in your ElevenLabs agent settings (one per workspace):`);
+        console.log(`   ${process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`}/webhook/<workspace slug>`);
+        console.log(`🔐 Webhooks are rejected until the workspace's ElevenLabs webhook secret is set`);
+        console.log(`🗃️ Database: ${process.env.DATABASE_URL ? 'Connected' : 'Local/Test mode'}`);
+        console.log(`📧 Email notifications: ${emailConfig.enabled ? 'Enabled' : 'Disabled'}`);
+        console.log(`🏢 ElevenLabs, MailerSend and webhook secrets are configured per workspace (env vars seed the default workspace)`);
+    });
+}
+
+module.exports = {
+    app,
+    server,
+    pool,
+    initializeDatabase,
+    runningBatches,
+    runBatchWorker,
+    updateBatchState
+};
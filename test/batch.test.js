@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, runningBatches, runBatchWorker, startServer, stopServer, request } = require('./helpers');
+
+before(startServer);
+after(async () => {
+    await waitUntil(() => runningBatches.size === 0);
+    await stopServer();
+});
+
+let nextBatch = 0;
+
+// A batch in the default workspace with one numbered row per given row status
+async function createBatch(status, rowStatuses) {
+    const batchId = `batch-test-${++nextBatch}`;
+    await db.query(
+        'INSERT INTO batches (id, name, status, total_calls, workspace_id) VALUES ($1, $2, $3, $4, 1)',
+        [batchId, `Test batch ${nextBatch}`, status, rowStatuses.length]
+    );
+    for (const [index, rowStatus] of rowStatuses.entries()) {
+        await db.query(
+            'INSERT INTO batch_calls (id, batch_id, phone_number, status) VALUES ($1, $2, $3, $4)',
+            [`${batchId}-call-${index}`, batchId, `+1555123${String(1000 + index)}`, rowStatus]
+        );
+    }
+    return batchId;
+}
+
+async function getBatch(batchId) {
+    return (await db.query('SELECT * FROM batches WHERE id = $1', [batchId])).rows[0];
+}
+
+async function getRowStatuses(batchId) {
+    const result = await db.query('SELECT status FROM batch_calls WHERE batch_id = $1 ORDER BY id', [batchId]);
+    return result.rows.map(row => row.status);
+}
+
+async function waitUntil(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+for (const status of ['paused', 'cancelled', 'scheduled']) {
+    test(`retry-failed leaves a ${status} batch alone`, async () => {
+        const batchId = await createBatch(status, ['completed', 'failed']);
+
+        const response = await request('POST', `/api/batch/${batchId}/retry-failed`);
+        assert.equal(response.status, 400);
+        assert.equal((await getBatch(batchId)).status, status);
+        assert.deepEqual(await getRowStatuses(batchId), ['completed', 'failed']);
+    });
+}
+
+test('retry-failed re-queues the failed numbers of a completed batch', async () => {
+    const batchId = await createBatch('completed', ['completed', 'failed']);
+    await db.query('UPDATE batches SET completed_calls = 2, successful_calls = 1, failed_calls = 1 WHERE id = $1', [batchId]);
+
+    const response = await request('POST', `/api/batch/${batchId}/retry-failed`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.retried, 1);
+
+    // With no ElevenLabs credentials the re-run fails again; wait for it so nothing runs after the test
+    await waitUntil(() => runningBatches.size === 0);
+});
+
+async function stopWhileWaitingForSlot(action) {
+    const batchId = await createBatch('processing', ['pending', 'pending']);
+    const batch = await getBatch(batchId);
+    // The first call has to wait for its calls-per-minute slot
+    const pacer = { nextCallAt: Date.now() + 500, intervalMs: 60000 };
+
+    const worker = runBatchWorker({ id: 1 }, batch, pacer, null, new Map());
+    await waitUntil(async () => (await getRowStatuses(batchId)).includes('processing'));
+
+    const response = await request('POST', `/api/batch/${batchId}/${action}`);
+    assert.equal(response.status, 200);
+    return { batchId, stoppedStatus: await worker };
+}
+
+test('cancelling during the pacing wait cancels the claimed number', async () => {
+    const { batchId, stoppedStatus } = await stopWhileWaitingForSlot('cancel');
+
+    assert.equal(stoppedStatus, 'cancelled');
+    assert.deepEqual(await getRowStatuses(batchId), ['cancelled', 'cancelled']);
+});
+
+test('pausing during the pacing wait puts the claimed number back', async () => {
+    const { batchId, stoppedStatus } = await stopWhileWaitingForSlot('pause');
+
+    assert.equal(stoppedStatus, 'paused');
+    assert.deepEqual(await getRowStatuses(batchId), ['pending', 'pending']);
+});
+
+test('cancelling a paused batch cancels its remaining numbers', async () => {
+    const batchId = await createBatch('paused', ['completed', 'pending']);
+
+    const response = await request('POST', `/api/batch/${batchId}/cancel`);
+    assert.equal(response.status, 200);
+    assert.equal((await getBatch(batchId)).status, 'cancelled');
+    assert.deepEqual(await getRowStatuses(batchId), ['completed', 'cancelled']);
+});
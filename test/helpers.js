@@ -0,0 +1,102 @@
+// Test harness: the server module backed by an in-memory Postgres (PGlite) and listening on a random port
+const crypto = require('crypto');
+const { once } = require('events');
+const { PGlite } = require('@electric-sql/pglite');
+
+process.env.SETUP_TOKEN = 'test-setup-token';
+process.env.ELEVENLABS_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.EMAIL_NOTIFICATIONS = 'false';
+
+const serverModule = require('../server');
+const { app, server, pool, initializeDatabase } = serverModule;
+
+const db = new PGlite();
+const injectedFailures = [];
+
+// Same shape as a pg result; parameterless calls may hold several statements, like pg's simple query protocol
+async function query(text, values) {
+    const config = typeof text === 'object' ? text : { text, values };
+    const failure = injectedFailures.findIndex(pattern => pattern.test(config.text));
+    if (failure >= 0) {
+        injectedFailures.splice(failure, 1);
+        throw new Error('Injected database failure');
+    }
+
+    const result = config.values && config.values.length > 0
+        ? await db.query(config.text, config.values)
+        : (await db.exec(config.text)).pop() || { rows: [] };
+    return { rows: result.rows, rowCount: result.affectedRows || result.rows.length };
+}
+
+pool.query = query;
+pool.connect = async () => ({ query, release() {} });
+
+// Make the next query matching the pattern throw
+function failNextQuery(pattern) {
+    injectedFailures.push(pattern);
+}
+
+let baseUrl = null;
+let sessionToken = null;
+
+async function startServer() {
+    if (baseUrl) return baseUrl;
+    await initializeDatabase();
+    server.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const setup = await request('POST', '/api/auth/setup', {
+        email: 'admin@example.com',
+        name: 'Admin',
+        password: 'correct-horse',
+        setupToken: process.env.SETUP_TOKEN
+    });
+    sessionToken = setup.body.token;
+    return baseUrl;
+}
+
+async function stopServer() {
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+}
+
+async function request(method, path, body, headers = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {}),
+            ...headers
+        },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    const text = await response.text();
+    let parsed = null;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        parsed = text;
+    }
+    return { status: response.status, body: parsed };
+}
+
+// An ElevenLabs-style signed webhook request for the default workspace
+function postWebhook(payload, { secret = process.env.ELEVENLABS_WEBHOOK_SECRET } = {}) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return request('POST', '/webhook', body, { 'elevenlabs-signature': `t=${timestamp},v0=${signature}` });
+}
+
+module.exports = {
+    ...serverModule,
+    app,
+    db,
+    failNextQuery,
+    startServer,
+    stopServer,
+    request,
+    postWebhook
+};
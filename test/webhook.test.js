@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, failNextQuery, startServer, stopServer, postWebhook } = require('./helpers');
+
+before(startServer);
+after(stopServer);
+
+function transcriptionEvent(conversationId, eventTimestamp, data = {}) {
+    return {
+        type: 'post_call_transcription',
+        event_timestamp: eventTimestamp,
+        data: {
+            conversation_id: conversationId,
+            status: 'done',
+            transcript: [
+                { role: 'agent', message: 'Hello, this is SkyIQ.' },
+                { role: 'user', message: 'Hi, I am interested.' }
+            ],
+            metadata: {
+                call_duration_secs: 42,
+                phone_call: { external_number: '+15551230001', agent_number: '+15550000000' }
+            },
+            ...data
+        }
+    };
+}
+
+async function isEventRecorded(eventId) {
+    const result = await db.query('SELECT 1 FROM webhook_events WHERE event_id = $1', [eventId]);
+    return result.rows.length > 0;
+}
+
+// The replay id is freed after the response is sent, so give it a moment
+async function waitUntil(check, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('rejects a webhook with a bad signature', async () => {
+    const response = await postWebhook(transcriptionEvent('conv-bad-signature', 1000), { secret: 'wrong-secret' });
+    assert.equal(response.status, 401);
+});
+
+test('processes a signed webhook once and acknowledges a replay as a duplicate', async () => {
+    const event = transcriptionEvent('conv-replay', 2000);
+
+    const first = await postWebhook(event);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.duplicate, undefined);
+
+    const replay = await postWebhook(event);
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.duplicate, true);
+
+    const calls = await db.query('SELECT * FROM calls WHERE id = $1', ['conv-replay']);
+    assert.equal(calls.rows.length, 1);
+    assert.equal(calls.rows[0].duration, 42);
+});
+
+test('frees the event id when processing fails so the retry is processed', async () => {
+    const event = transcriptionEvent('conv-retry', 3000);
+    const eventId = 'post_call_transcription:conv-retry:3000';
+
+    failNextQuery(/SELECT \* FROM calls WHERE conversation_id = \$1/);
+    const failed = await postWebhook(event);
+    assert.equal(failed.status, 500);
+    await waitUntil(async () => !(await isEventRecorded(eventId)));
+
+    const retry = await postWebhook(event);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.duplicate, undefined);
+    assert.equal(await isEventRecorded(eventId), true);
+
+    const calls = await db.query('SELECT * FROM calls WHERE id = $1', ['conv-retry']);
+    assert.equal(calls.rows.length, 1);
+});
+
+test('a later outbound webhook without a transcript keeps the stored transcript and duration', async () => {
+    await db.query(`
+        INSERT INTO calls (id, timestamp, caller_number, called_number, duration, status, call_type, conversation_id, workspace_id)
+        VALUES ('outbound-1', NOW(), '+15551230002', '+15550000000', 0, 'initiated', 'outbound', 'conv-outbound', 1)
+    `);
+
+    const first = await postWebhook(transcriptionEvent('conv-outbound', 4000));
+    assert.equal(first.status, 200);
+
+    const audioOnly = await postWebhook(transcriptionEvent('conv-outbound', 4001, { transcript: undefined, metadata: {} }));
+    assert.equal(audioOnly.status, 200);
+
+    const call = (await db.query('SELECT * FROM calls WHERE id = $1', ['outbound-1'])).rows[0];
+    assert.equal(call.status, 'answered');
+    assert.equal(call.duration, 42);
+    assert.match(call.transcript, /interested/);
+});